@@ -1,15 +1,88 @@
-import { useState, useEffect, useRef, useCallback } from "react";
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import {
+  BREATH_DETECTOR_DEFAULTS,
+  createBreathDetector,
+  frameEnergy,
+  measureNoiseFloor,
+} from "./breathDetection.js";
+import { parseBackup, planImport, sessionsToCSV, sessionsToJSON } from "./backup.js";
+import {
+  DAY_MS,
+  PARTIAL_SESSION_MODES,
+  STREAK_FREEZE_LIMITS,
+  WEEKLY_GOAL_LIMITS,
+  calcStreaks,
+  countsForStats,
+  countsForStreak,
+  dayNumber,
+  localDateStr,
+  localTimeZone,
+  sessionsThisWeek,
+  todayStr,
+} from "./calendar.js";
+import {
+  JOURNAL_RATINGS,
+  NOTE_MAX_LENGTH,
+  RATING_SCALE,
+  TAG_MAX_LENGTH,
+  normalizeTag,
+} from "./journal.js";
+import { clearLiveSession, readLiveSession, saveLiveSession } from "./liveSession.js";
+import { SCHEMA_VERSION, migrate } from "./migrations.js";
+import { DEFAULT_REMINDERS, REMINDER_DAYS, nextReminderAt } from "./reminders.js";
 
 // ─── Audio Engine (Safari-safe) ──────────────────────────────────
+// Mixer channels every sound is routed through, and their default levels
+const MIX_CHANNELS = [
+  ["breath", "Breath"],
+  ["bells", "Bells"],
+  ["ticks", "Ticks"],
+  ["voice", "Voice"],
+  ["ambient", "Ambient"],
+];
+const DEFAULT_MIX = { muted: false, breath: 1, bells: 1, ticks: 1, voice: 1, ambient: 0.4 };
+const MIX_LIMITS = { min: 0, max: 2, step: 0.05 };
+
 const AudioEngine = (() => {
   let ctx = null;
-  const buffers = { inhale: null, exhale: null };
-  const mediaElements = { inhale: null, exhale: null };
-  const sampleGains = { inhale: 1, exhale: 1 };
-  let loadPromise = null;
-  let breathVolume = 1;
+  // Samples are cached by URL, so any pack can be loaded (or previewed) on demand
+  const buffers = {};
+  const mediaElements = {};
+  const sampleGains = {};
+  const loading = {};
+  // Active sound pack; null plays the classic pack
+  let pack = null;
+  let noiseBuffer = null;
+  const mix = { ...DEFAULT_MIX };
+  // { master, channels: { name: GainNode } } for the current AudioContext
+  let mixBus = null;
+  // Nodes and deferred media plays queued ahead of time, so they can be
+  // cancelled if the session stops before they sound.
+  const scheduledNodes = new Set();
+  const deferredPlays = new Set();
   const TARGET_PEAK = 0.82;
   const MAX_AUTO_GAIN = 10;
+  // Breath samples were recorded for a 2s inhale / 2s exhale; other tempos
+  // play them back faster or slower relative to that.
+  const REFERENCE_CUE_MS = 2000;
+  const MIN_CUE_RATE = 0.6;
+  const MAX_CUE_RATE = 1.6;
+  // Breath samples drop to this level while the voice guide is talking
+  const DUCK_LEVEL = 0.3;
+  let duckLevel = 1;
+  let breathBus = null;
+  // Unmixed volume and channel of each media element, by URL
+  const mediaVolumes = {};
+  // Ambient layer: generated sources → fade (phase level × volume) → duck → out
+  const AMBIENT_FADE_S = 1.5;
+  const AMBIENT_DUCK_LEVEL = 0.35;
+  let ambient = null;
+  let ambientDuckUntil = 0;
+
+  const cueRate = (cueMs) => {
+    if (!cueMs) return 1;
+    return Math.min(MAX_CUE_RATE, Math.max(MIN_CUE_RATE, REFERENCE_CUE_MS / cueMs));
+  };
 
   const getCtx = () => {
     try {
@@ -39,35 +112,34 @@ const AudioEngine = (() => {
     return Math.min(MAX_AUTO_GAIN, TARGET_PEAK / peak);
   };
 
-  const loadSample = async (name, path) => {
+  const loadSample = async (url) => {
     try {
-      const res = await fetch(path);
+      const res = await fetch(url);
       if (!res.ok) return false;
       const arrayBuf = await res.arrayBuffer();
       const c = getCtx();
       if (!c) return false;
       const decoded = await c.decodeAudioData(arrayBuf);
-      buffers[name] = decoded;
-      sampleGains[name] = getAutoGain(decoded);
+      buffers[url] = decoded;
+      sampleGains[url] = getAutoGain(decoded);
       return true;
     } catch (e) {}
     return false;
   };
 
-  const createMediaElement = (name, path) => {
-    if (mediaElements[name]) return mediaElements[name];
-    const el = new Audio(path);
+  const createMediaElement = (url) => {
+    if (mediaElements[url]) return mediaElements[url];
+    const el = new Audio(url);
     el.preload = "auto";
     el.playsInline = true;
-    mediaElements[name] = el;
+    mediaElements[url] = el;
     return el;
   };
 
-  const primeMediaElements = async () => {
-    const names = ["inhale", "exhale"];
+  const primeMediaElements = async (urls) => {
     await Promise.all(
-      names.map(async (name) => {
-        const el = mediaElements[name];
+      urls.map(async (url) => {
+        const el = mediaElements[url];
         if (!el) return;
         try {
           el.muted = true;
@@ -82,14 +154,113 @@ const AudioEngine = (() => {
     );
   };
 
-  const playMediaSample = (name, vol = 1.0, onRejected) => {
-    const el = mediaElements[name];
+  const channelLevel = (name) => (mix.muted ? 0 : mix[name]);
+
+  const getChannel = (c, name) => {
+    if (!mixBus || mixBus.master.context !== c) {
+      const master = c.createGain();
+      master.gain.value = mix.muted ? 0 : 1;
+      master.connect(c.destination);
+      mixBus = { master, channels: {} };
+    }
+    if (!mixBus.channels[name]) {
+      const gain = c.createGain();
+      gain.gain.value = mix[name];
+      gain.connect(mixBus.master);
+      mixBus.channels[name] = gain;
+    }
+    return mixBus.channels[name];
+  };
+
+  // Breath samples share one gain stage so speech can duck them together
+  const getBreathBus = (c) => {
+    if (!breathBus || breathBus.context !== c) {
+      breathBus = c.createGain();
+      breathBus.gain.value = duckLevel;
+      breathBus.connect(getChannel(c, "breath"));
+    }
+    return breathBus;
+  };
+
+  // Media elements have no gain stages, so their volume carries the mix and duck
+  const mediaLevel = ({ volume, channel }) =>
+    Math.min(1, volume * channelLevel(channel) * (channel === "breath" ? duckLevel : 1));
+
+  const refreshMediaVolumes = () => {
+    Object.entries(mediaVolumes).forEach(([url, entry]) => {
+      const el = mediaElements[url];
+      if (el && !el.paused) el.volume = mediaLevel(entry);
+    });
+  };
+
+  const setDuck = (level) => {
+    duckLevel = level;
+    if (ctx && breathBus) {
+      breathBus.gain.setTargetAtTime(level, ctx.currentTime, level < 1 ? 0.05 : 0.15);
+    }
+    refreshMediaVolumes();
+  };
+
+  const setMix = (next) => {
+    Object.assign(mix, next);
+    if (mixBus && ctx) {
+      const t = ctx.currentTime;
+      mixBus.master.gain.setTargetAtTime(mix.muted ? 0 : 1, t, 0.02);
+      Object.entries(mixBus.channels).forEach(([name, gain]) => {
+        gain.gain.setTargetAtTime(mix[name], t, 0.02);
+      });
+    }
+    refreshMediaVolumes();
+  };
+
+  const trackNode = (node, start) => {
+    const entry = { node, start };
+    scheduledNodes.add(entry);
+    node.onended = () => scheduledNodes.delete(entry);
+  };
+
+  const cancelScheduled = (includePlaying = false) => {
+    const now = ctx ? ctx.currentTime : 0;
+    scheduledNodes.forEach((entry) => {
+      if (!includePlaying && entry.start <= now) return;
+      try {
+        entry.node.stop(0);
+      } catch (e) {}
+      scheduledNodes.delete(entry);
+    });
+    deferredPlays.forEach((id) => clearTimeout(id));
+    deferredPlays.clear();
+    // A cancelled clip can no longer lift the duck it set
+    if (duckLevel !== 1) setDuck(1);
+    if (!includePlaying) return;
+    Object.values(mediaElements).forEach((el) => {
+      if (el) el.pause();
+    });
+  };
+
+  const playMediaSample = (url, vol = 1.0, rate = 1, onRejected, at, breath = true) => {
+    const el = mediaElements[url];
     if (!el) return false;
+    // Media elements can't be scheduled; wait out the (short) lookahead instead
+    const wait = at && ctx ? (at - ctx.currentTime) * 1000 : 0;
+    if (wait > 5) {
+      const id = setTimeout(() => {
+        deferredPlays.delete(id);
+        playMediaSample(url, vol, rate, onRejected, undefined, breath);
+      }, wait);
+      deferredPlays.add(id);
+      return true;
+    }
     try {
       el.pause();
       el.currentTime = 0;
-      const adjustedVol = vol * breathVolume * (sampleGains[name] || 1);
-      el.volume = Math.min(1, Math.max(0, adjustedVol));
+      el.playbackRate = rate;
+      const adjustedVol = vol * (sampleGains[url] || 1);
+      mediaVolumes[url] = {
+        volume: Math.max(0, adjustedVol),
+        channel: breath ? "breath" : "bells",
+      };
+      el.volume = mediaLevel(mediaVolumes[url]);
       const playPromise = el.play();
       if (playPromise && typeof playPromise.catch === "function") {
         playPromise.catch(() => {
@@ -110,53 +281,156 @@ const AudioEngine = (() => {
     return iOSDevice || iPadOSDesktopUA;
   };
 
-  const ensureSamplesLoaded = async () => {
-    const base = import.meta.env.BASE_URL;
-    createMediaElement("inhale", `${base}audio/inhale.mp3`);
-    createMediaElement("exhale", `${base}audio/exhale.mp3`);
-    if (buffers.inhale && buffers.exhale) return;
-    if (!loadPromise) {
-      loadPromise = Promise.all([
-        loadSample("inhale", `${base}audio/inhale.mp3`),
-        loadSample("exhale", `${base}audio/exhale.mp3`),
-      ]).finally(() => {
-        if (!buffers.inhale || !buffers.exhale) loadPromise = null;
-      });
-    }
-    await loadPromise;
+  // A pack cue with any file resolved to a URL; cues a pack leaves out come from classic
+  const cueSpec = (name, p = pack) => {
+    const spec = (p && p.cues[name]) || SOUND_PACKS.classic.cues[name];
+    return spec.file ? { ...spec, url: `${import.meta.env.BASE_URL}${spec.file}` } : spec;
+  };
+
+  const sampleUrls = (p) => SOUND_PACK_CUES.map(([name]) => cueSpec(name, p).url).filter(Boolean);
+
+  // Resolves to the pack's sample URLs once each has loaded or failed
+  const ensureSamplesLoaded = async (p = pack) => {
+    const urls = sampleUrls(p);
+    urls.forEach(createMediaElement);
+    await Promise.all(
+      urls.map((url) => {
+        if (buffers[url]) return true;
+        if (!loading[url]) {
+          loading[url] = loadSample(url).then((ok) => {
+            if (!ok) delete loading[url];
+            return ok;
+          });
+        }
+        return loading[url];
+      }),
+    );
+    return urls;
   };
 
-  const playWebAudioSample = (name, vol = 1.0) => {
+  const playWebAudioSample = (url, vol = 1.0, rate = 1, at, breath = true) => {
     const c = getCtx();
-    if (!c || !buffers[name]) return false;
+    if (!c || !buffers[url]) return false;
     try {
+      const t = Math.max(at || 0, c.currentTime);
       const src = c.createBufferSource();
       const gain = c.createGain();
-      src.buffer = buffers[name];
-      const adjustedVol = Math.min(vol * breathVolume * (sampleGains[name] || 1), MAX_AUTO_GAIN);
-      gain.gain.setValueAtTime(adjustedVol, c.currentTime);
+      src.buffer = buffers[url];
+      src.playbackRate.setValueAtTime(rate, t);
+      const adjustedVol = Math.min(vol * (sampleGains[url] || 1), MAX_AUTO_GAIN);
+      gain.gain.setValueAtTime(adjustedVol, t);
       src.connect(gain);
-      gain.connect(c.destination);
-      src.start(c.currentTime);
+      gain.connect(breath ? getBreathBus(c) : getChannel(c, "bells"));
+      src.start(t);
+      trackNode(src, t);
       return true;
     } catch (e) {
       return false;
     }
   };
 
-  const playSample = (name, vol = 1.0) => {
+  const playSample = (url, vol = 1.0, rate = 1, at, breath = true) => {
     if (shouldPreferMediaPlayback()) {
-      const mediaStarted = playMediaSample(name, vol, () => {
-        playWebAudioSample(name, vol);
-      });
+      const mediaStarted = playMediaSample(
+        url,
+        vol,
+        rate,
+        () => {
+          playWebAudioSample(url, vol, rate, undefined, breath);
+        },
+        at,
+        breath,
+      );
       if (mediaStarted) return true;
-      return playWebAudioSample(name, vol);
+      return playWebAudioSample(url, vol, rate, at, breath);
+    }
+    if (playWebAudioSample(url, vol, rate, at, breath)) return true;
+    return playMediaSample(url, vol, rate, undefined, at, breath);
+  };
+
+  const getNoise = (c) => {
+    if (!noiseBuffer || noiseBuffer.sampleRate !== c.sampleRate) {
+      noiseBuffer = c.createBuffer(1, c.sampleRate * 2, c.sampleRate);
+      const data = noiseBuffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+    return noiseBuffer;
+  };
+
+  // Synth breath: band-passed noise sweeping `from` → `to` Hz as it swells and fades
+  const playNoiseSwell = ({ from, to, q, vol }, durationS, at) => {
+    const c = getCtx();
+    if (!c) return false;
+    try {
+      const t = Math.max(at || 0, c.currentTime);
+      const src = c.createBufferSource();
+      const filter = c.createBiquadFilter();
+      const gain = c.createGain();
+      src.buffer = getNoise(c);
+      src.loop = true;
+      filter.type = "bandpass";
+      filter.Q.setValueAtTime(q, t);
+      filter.frequency.setValueAtTime(from, t);
+      filter.frequency.exponentialRampToValueAtTime(to, t + durationS);
+      gain.gain.setValueAtTime(0.0001, t);
+      gain.gain.linearRampToValueAtTime(vol, t + durationS * 0.4);
+      gain.gain.exponentialRampToValueAtTime(0.0001, t + durationS);
+      src.connect(filter);
+      filter.connect(gain);
+      gain.connect(getBreathBus(c));
+      src.start(t);
+      src.stop(t + durationS);
+      trackNode(src, t);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // Decodes a user-supplied clip; resolves to { buffer, gain } or null
+  const decodeClip = async (arrayBuf) => {
+    const c = getCtx();
+    if (!c) return null;
+    try {
+      const buffer = await c.decodeAudioData(arrayBuf);
+      return { buffer, gain: getAutoGain(buffer) };
+    } catch (e) {
+      return null;
     }
-    if (playWebAudioSample(name, vol)) return true;
-    return playMediaSample(name, vol);
   };
 
-  const unlock = async () => {
+  // Voice clips always play through Web Audio and duck the breath for their length
+  const playClip = (clip, at) => {
+    const c = getCtx();
+    if (!c) return;
+    try {
+      const t = Math.max(at || 0, c.currentTime);
+      const src = c.createBufferSource();
+      const gain = c.createGain();
+      src.buffer = clip.buffer;
+      gain.gain.setValueAtTime(Math.min(clip.gain, MAX_AUTO_GAIN), t);
+      src.connect(gain);
+      gain.connect(getChannel(c, "voice"));
+      src.start(t);
+      trackNode(src, t);
+      const wait = (t - c.currentTime) * 1000;
+      const duckId = setTimeout(() => {
+        deferredPlays.delete(duckId);
+        setDuck(DUCK_LEVEL);
+      }, wait);
+      const liftId = setTimeout(
+        () => {
+          deferredPlays.delete(liftId);
+          setDuck(1);
+        },
+        wait + clip.buffer.duration * 1000,
+      );
+      deferredPlays.add(duckId);
+      deferredPlays.add(liftId);
+    } catch (e) {}
+  };
+
+  const unlock = async (p = pack) => {
     try {
       const c = getCtx();
       if (!c) return;
@@ -166,18 +440,18 @@ const AudioEngine = (() => {
       src.connect(c.destination);
       src.start(0);
       if (c.state === "suspended") await c.resume();
-      await ensureSamplesLoaded();
-      await primeMediaElements();
+      await primeMediaElements(await ensureSamplesLoaded(p));
     } catch (e) {
       return;
     }
   };
 
   // Bell with harmonics — produces a clear "ding" ring sound
-  const playBell = (freq, vol = 0.55, delay = 0) => {
+  const playBell = (freq, vol = 0.55, delay = 0, at, shape) => {
     const c = getCtx();
     if (!c) return;
-    const partials = [
+    duckAmbient((at || c.currentTime) + delay, 0.8);
+    const partials = shape || [
       { ratio: 1,    amp: 1.0,  decay: 2.2 },
       { ratio: 2.76, amp: 0.45, decay: 1.6 },
       { ratio: 5.40, amp: 0.20, decay: 1.1 },
@@ -185,7 +459,7 @@ const AudioEngine = (() => {
     ];
     partials.forEach(({ ratio, amp, decay }) => {
       try {
-        const t = c.currentTime + delay;
+        const t = Math.max(at || 0, c.currentTime) + delay;
         const osc = c.createOscillator();
         const gain = c.createGain();
         osc.type = "sine";
@@ -194,18 +468,19 @@ const AudioEngine = (() => {
         gain.gain.linearRampToValueAtTime(vol * amp, t + 0.008);
         gain.gain.exponentialRampToValueAtTime(0.0001, t + decay);
         osc.connect(gain);
-        gain.connect(c.destination);
+        gain.connect(getChannel(c, "bells"));
         osc.start(t);
         osc.stop(t + decay);
+        trackNode(osc, t);
       } catch (e) {}
     });
   };
 
-  const playTone = (freq, duration, type = "sine", vol = 0.35) => {
+  const playTone = (freq, duration, type = "sine", vol = 0.35, at) => {
     const c = getCtx();
     if (!c) return;
     try {
-      const t = c.currentTime;
+      const t = Math.max(at || 0, c.currentTime);
       const osc = c.createOscillator();
       const gain = c.createGain();
       osc.type = type;
@@ -213,700 +488,4815 @@ const AudioEngine = (() => {
       gain.gain.setValueAtTime(vol, t);
       gain.gain.exponentialRampToValueAtTime(0.0001, t + duration);
       osc.connect(gain);
-      gain.connect(c.destination);
+      gain.connect(getChannel(c, "ticks"));
       osc.start(t);
       osc.stop(t + duration);
+      trackNode(osc, t);
     } catch (e) {}
   };
 
+  // Plays a pack cue: its sample at `rate`, or its synth over `durationS`
+  const playCue = (name, { vol = 1, rate = 1, durationS = 2 } = {}, at, p = pack) => {
+    const spec = cueSpec(name, p);
+    const breath = name === "inhale" || name === "exhale";
+    if (breath) duckAmbient(at, durationS);
+    if (spec.url) return playSample(spec.url, vol, rate, at, breath);
+    if (spec.synth.type === "breath") return playNoiseSwell(spec.synth, durationS, at);
+    spec.synth.notes.forEach(([freq, noteVol, delay]) =>
+      playBell(freq, noteVol * vol, delay, at, spec.synth.partials),
+    );
+    return true;
+  };
+
+  const buildAmbient = (c, kind) => {
+    const sources = [];
+    const fade = c.createGain();
+    const duck = c.createGain();
+    fade.gain.value = 0;
+    fade.connect(duck);
+    duck.connect(getChannel(c, "ambient"));
+    const oscillator = (type, freq) => {
+      const osc = c.createOscillator();
+      osc.type = type;
+      osc.frequency.value = freq;
+      sources.push(osc);
+      return osc;
+    };
+    // Slow oscillator wobbling `param` by ±depth around its set value
+    const lfo = (freq, depth, param) => {
+      const depthGain = c.createGain();
+      depthGain.gain.value = depth;
+      oscillator("sine", freq).connect(depthGain);
+      depthGain.connect(param);
+    };
+
+    if (kind === "ocean") {
+      // Low-passed noise whose level and brightness roll like waves
+      const src = c.createBufferSource();
+      const filter = c.createBiquadFilter();
+      const swell = c.createGain();
+      src.buffer = getNoise(c);
+      src.loop = true;
+      filter.type = "lowpass";
+      filter.frequency.value = 650;
+      swell.gain.value = 0.45;
+      src.connect(filter);
+      filter.connect(swell);
+      swell.connect(fade);
+      lfo(0.09, 0.35, swell.gain);
+      lfo(0.09, 350, filter.frequency);
+      sources.push(src);
+    } else if (kind === "drone") {
+      const filter = c.createBiquadFilter();
+      filter.type = "lowpass";
+      filter.frequency.value = 320;
+      filter.connect(fade);
+      [55, 82.4, 110.3].forEach((freq) => {
+        const gain = c.createGain();
+        gain.gain.value = 0.16;
+        oscillator("sawtooth", freq).connect(gain);
+        gain.connect(filter);
+      });
+      lfo(0.05, 120, filter.frequency);
+    } else if (kind === "binaural") {
+      // A 6 Hz difference between the ears; only heard as a beat on headphones
+      const merger = c.createChannelMerger(2);
+      merger.connect(fade);
+      [197, 203].forEach((freq, channel) => {
+        const gain = c.createGain();
+        gain.gain.value = 0.22;
+        oscillator("sine", freq).connect(gain);
+        gain.connect(merger, 0, channel);
+      });
+    }
+    return { kind, sources, fade, duck };
+  };
+
+  const startAmbient = (kind) => {
+    if (ambient && ambient.kind === kind) return;
+    stopAmbient();
+    const c = getCtx();
+    if (!c) return;
+    try {
+      ambient = buildAmbient(c, kind);
+      ambient.sources.forEach((src) => src.start());
+    } catch (e) {
+      ambient = null;
+    }
+  };
+
+  // Glides the layer to `level` (0–1); its volume is the ambient mixer channel
+  const fadeAmbient = (level) => {
+    if (!ambient || !ctx) return;
+    ambient.fade.gain.setTargetAtTime(level, ctx.currentTime, AMBIENT_FADE_S / 3);
+  };
+
+  const stopAmbient = () => {
+    if (!ambient || !ctx) return;
+    const t = ctx.currentTime;
+    ambient.fade.gain.cancelScheduledValues(t);
+    ambient.fade.gain.setTargetAtTime(0, t, AMBIENT_FADE_S / 3);
+    ambient.sources.forEach((src) => {
+      try {
+        src.stop(t + AMBIENT_FADE_S * 2);
+      } catch (e) {}
+    });
+    ambient = null;
+    ambientDuckUntil = 0;
+  };
+
+  // Dips the layer from `at` until `durationS` later, extending any dip in progress
+  const duckAmbient = (at, durationS) => {
+    if (!ambient || !ctx) return;
+    const t = Math.max(at || 0, ctx.currentTime);
+    const gain = ambient.duck.gain;
+    ambientDuckUntil = Math.max(ambientDuckUntil, t + durationS);
+    gain.cancelScheduledValues(t);
+    gain.setTargetAtTime(AMBIENT_DUCK_LEVEL, t, 0.05);
+    gain.setTargetAtTime(1, ambientDuckUntil, 0.4);
+  };
+
+  // Plays a pack's cues back to back so it can be heard without selecting it
+  const preview = async (p) => {
+    cancelScheduled(true);
+    await unlock(p);
+    const c = getCtx();
+    if (!c) return;
+    const t = c.currentTime + 0.1;
+    playCue("inhale", { vol: 1.2 }, t, p);
+    playCue("exhale", { vol: 0.85 }, t + 2, p);
+    playCue("hold", {}, t + 4, p);
+    playCue("roundComplete", {}, t + 5.5, p);
+    playCue("sessionComplete", {}, t + 8, p);
+  };
+
+  // Every cue takes an optional `at` on the AudioContext clock; omitted means now.
   return {
     unlock,
-    setBreathVolume: (value) => {
-      breathVolume = Math.min(2.4, Math.max(0.25, value));
+    cancelScheduled: () => cancelScheduled(false),
+    stopAll: () => cancelScheduled(true),
+    currentTime: () => {
+      const c = getCtx();
+      return c ? c.currentTime : null;
+    },
+    context: getCtx,
+    setMix,
+    channelLevel,
+    duck: () => setDuck(DUCK_LEVEL),
+    unduck: () => setDuck(1),
+    decodeClip,
+    playClip,
+    startAmbient,
+    fadeAmbient,
+    stopAmbient,
+    setPack: (next) => {
+      pack = next;
     },
-    inhale: () => playSample("inhale", 1.2),
-    exhale: () => playSample("exhale", 0.85),
-    holdStart: () => playBell(432, 0.65),
-    recoveryIn: () => playSample("inhale", 1.35),
-    roundComplete: () => {
-      playBell(440, 0.5, 0);
-      playBell(554, 0.45, 0.35);
-      playBell(659, 0.4, 0.7);
+    preview,
+    inhale: (cueMs, at) =>
+      playCue("inhale", { vol: 1.2, rate: cueRate(cueMs), durationS: cueMs / 1000 }, at),
+    exhale: (cueMs, at) =>
+      playCue("exhale", { vol: 0.85, rate: cueRate(cueMs), durationS: cueMs / 1000 }, at),
+    holdStart: (at) => playCue("hold", {}, at),
+    recoveryIn: (at) => playCue("inhale", { vol: 1.35, durationS: 2.5 }, at),
+    roundComplete: (at) => playCue("roundComplete", {}, at),
+    sessionComplete: (at) => playCue("sessionComplete", {}, at),
+    tick: (at) => playTone(900, 0.07, "triangle", 0.15, at),
+    countdownBeep: (at) => playBell(660, 0.4, 0, at),
+    pauseChime: (at) => {
+      playBell(523, 0.4, 0, at);
+      playBell(392, 0.4, 0.22, at);
     },
-    sessionComplete: () => {
-      [440, 494, 554, 622, 740].forEach((f, i) => playBell(f, 0.4, i * 0.28));
+    capReached: (at) => {
+      playBell(660, 0.45, 0, at);
+      playBell(440, 0.5, 0.3, at);
+    },
+    targetReached: (at) => {
+      playBell(528, 0.35, 0, at);
+      playBell(792, 0.3, 0.18, at);
     },
-    tick: () => playTone(900, 0.07, "triangle", 0.15),
-    countdownBeep: () => playBell(660, 0.4),
   };
 })();
 
-// ─── Storage helpers ─────────────────────────────────────────────
-const STORAGE_KEY = "whm_breathing_data";
+// ─── Sound Packs ─────────────────────────────────────────────────
+// A pack names what plays for each cue: an audio `file` (relative to the app's
+// base URL) or `synth` parameters. Breath synths are filtered-noise swells;
+// bell synths list `notes` as [frequency, volume, delay s] and may replace the
+// default bell timbre with their own `partials`. Cues a pack leaves out fall
+// back to the classic pack. Every sample is peak-normalised when it loads.
+const SOUND_PACK_CUES = [
+  ["inhale", "Inhale"],
+  ["exhale", "Exhale"],
+  ["hold", "Hold"],
+  ["roundComplete", "Round complete"],
+  ["sessionComplete", "Session complete"],
+];
 
-const loadData = async () => {
-  try {
-    const value = localStorage.getItem(STORAGE_KEY);
-    return value ? JSON.parse(value) : null;
-  } catch {
-    return null;
-  }
-};
+const BOWL_PARTIALS = [
+  { ratio: 1, amp: 1.0, decay: 4.5 },
+  { ratio: 2.71, amp: 0.5, decay: 3.2 },
+  { ratio: 5.12, amp: 0.18, decay: 1.8 },
+];
 
-const saveData = async (data) => {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-  } catch {}
+const SOUND_PACKS = {
+  classic: {
+    label: "Classic",
+    hint: "Recorded breaths and bright bells",
+    cues: {
+      inhale: { file: "audio/inhale.mp3" },
+      exhale: { file: "audio/exhale.mp3" },
+      hold: { synth: { type: "bell", notes: [[432, 0.65, 0]] } },
+      roundComplete: {
+        synth: {
+          type: "bell",
+          notes: [
+            [440, 0.5, 0],
+            [554, 0.45, 0.35],
+            [659, 0.4, 0.7],
+          ],
+        },
+      },
+      sessionComplete: {
+        synth: {
+          type: "bell",
+          notes: [
+            [440, 0.4, 0],
+            [494, 0.4, 0.28],
+            [554, 0.4, 0.56],
+            [622, 0.4, 0.84],
+            [740, 0.4, 1.12],
+          ],
+        },
+      },
+    },
+  },
+  soft: {
+    label: "Soft synth",
+    hint: "Airy synthesised breaths and low singing bowls",
+    cues: {
+      inhale: { synth: { type: "breath", from: 320, to: 1500, q: 0.9, vol: 0.5 } },
+      exhale: { synth: { type: "breath", from: 1200, to: 260, q: 0.9, vol: 0.4 } },
+      hold: { synth: { type: "bell", notes: [[216, 0.7, 0]], partials: BOWL_PARTIALS } },
+      roundComplete: {
+        synth: {
+          type: "bell",
+          notes: [
+            [216, 0.55, 0],
+            [288, 0.5, 0.6],
+          ],
+          partials: BOWL_PARTIALS,
+        },
+      },
+      sessionComplete: {
+        synth: {
+          type: "bell",
+          notes: [
+            [216, 0.5, 0],
+            [288, 0.45, 0.6],
+            [324, 0.45, 1.2],
+            [432, 0.4, 1.8],
+          ],
+          partials: BOWL_PARTIALS,
+        },
+      },
+    },
+  },
+  // Built at runtime from the files the user loads (see loadCustomPack)
+  custom: {
+    label: "My files",
+    hint: "Your own recordings; cues without a file use Classic",
+    cues: {},
+  },
 };
 
-const todayStr = () => new Date().toISOString().slice(0, 10);
-
-const calcStreak = (sessions) => {
-  if (!sessions || sessions.length === 0) return 0;
-  const dates = [...new Set(sessions.map((s) => s.date))].sort().reverse();
-  const today = todayStr();
-  const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
-  if (dates[0] !== today && dates[0] !== yesterday) return 0;
-  let streak = 1;
-  for (let i = 1; i < dates.length; i++) {
-    const prev = new Date(dates[i - 1]);
-    const curr = new Date(dates[i]);
-    const diff = (prev - curr) / 86400000;
-    if (diff === 1) streak++;
-    else break;
-  }
-  return streak;
+// Background layers generated by AudioEngine, so they need no assets
+const AMBIENT_SOUNDS = {
+  off: { label: "Off", hint: "Silence between cues" },
+  ocean: { label: "Ocean", hint: "Waves of filtered noise" },
+  drone: { label: "Drone", hint: "A low, slowly shifting chord" },
+  binaural: { label: "Binaural", hint: "A 6 Hz beat; use headphones" },
 };
 
-// ─── Phases ──────────────────────────────────────────────────────
-const PHASE = {
-  SETUP: "setup",
-  BREATHING: "breathing",
-  RETENTION: "retention",
-  RECOVERY: "recovery",
-  ROUND_DONE: "round_done",
-  COMPLETE: "complete",
-};
+// The user's files live in the asset store as { name: cue, blob, fileName }
+const PACK_ASSET_PREFIX = "pack";
+let customPack = null;
+let customPackUrls = [];
 
-const ACTIVE_PHASES = [PHASE.BREATHING, PHASE.RETENTION, PHASE.RECOVERY];
-const BREATH_CYCLE_MS = 4000;
-const EXHALE_CUE_DELAY_MS = 2000;
+// Builds (or returns the cached) "My files" pack; `refresh` after files change
+const loadCustomPack = async (refresh = false) => {
+  if (customPack && !refresh) return customPack;
+  const assets = await loadAssets(PACK_ASSET_PREFIX);
+  customPackUrls.forEach((url) => URL.revokeObjectURL(url));
+  customPackUrls = assets.map(({ blob }) => URL.createObjectURL(blob));
+  customPack = {
+    ...SOUND_PACKS.custom,
+    cues: Object.fromEntries(assets.map(({ name }, i) => [name, { url: customPackUrls[i] }])),
+    files: Object.fromEntries(assets.map(({ name, fileName }) => [name, fileName])),
+  };
+  return customPack;
+};
 
-// ─── Formatters ──────────────────────────────────────────────────
-const fmtTime = (s) => {
-  const m = Math.floor(s / 60);
-  const sec = s % 60;
-  return m > 0 ? `${m}:${String(sec).padStart(2, "0")}` : `${sec}s`;
+const resolveSoundPack = async (id) => {
+  if (id !== "custom") return SOUND_PACKS[id] || SOUND_PACKS.classic;
+  try {
+    return await loadCustomPack();
+  } catch {
+    return SOUND_PACKS.classic;
+  }
 };
 
-// ─── Main Component ──────────────────────────────────────────────
-export default function WimHofBreathing() {
-  const [appData, setAppData] = useState({ sessions: [] });
-  const [loaded, setLoaded] = useState(false);
-  const [rounds, setRounds] = useState(3);
-  const [breathsPerRound, setBreathsPerRound] = useState(40);
-  const [phase, setPhase] = useState(PHASE.SETUP);
-  const [currentRound, setCurrentRound] = useState(0);
-  const [breathCount, setBreathCount] = useState(0);
-  const [isInhale, setIsInhale] = useState(true);
-  const [retentionTime, setRetentionTime] = useState(0);
-  const [recoveryCountdown, setRecoveryCountdown] = useState(15);
-  const [roundRetentions, setRoundRetentions] = useState([]);
-  const [sessionStart, setSessionStart] = useState(null);
-  const [breathingAnim, setBreathingAnim] = useState(false);
-  const [showQuitConfirm, setShowQuitConfirm] = useState(false);
-  const [breathVolume, setBreathVolume] = useState(1);
-  const [showVolumeControl, setShowVolumeControl] = useState(false);
+// Later selections win even if an earlier custom pack is still loading
+let packRequest = 0;
+const applySoundPack = async (id) => {
+  const request = ++packRequest;
+  const next = await resolveSoundPack(id);
+  if (request === packRequest) AudioEngine.setPack(next);
+};
 
-  const intervalRef = useRef(null);
-  const timeoutRef = useRef(null);
-  const phaseRef = useRef(phase);
-  const wakeLockRef = useRef(null);
-  phaseRef.current = phase;
-  const isActiveSession = ACTIVE_PHASES.includes(phase);
+// ─── Session Scheduler ───────────────────────────────────────────
+// Session events are planned on the AudioContext clock. Sound is handed to
+// the AudioEngine a short lookahead before it is due, so it starts on time
+// even when a timer fires late; `run` callbacks fire from the pump once their
+// moment has passed, so React state only ever mirrors what is already audible.
+const SessionScheduler = (() => {
+  const LOOKAHEAD_S = 0.15;
+  const PUMP_MS = 25;
+  // When the page comes back from a hidden spell, a cue this far behind the
+  // clock is dropped; its state change still runs. A throttled pump at any
+  // other time (a locked screen) still plays late cues, since someone may be
+  // following the session by ear.
+  const STALE_CUE_S = 0.25;
+  // Smaller clock differences across a hidden spell are ordinary jitter
+  const CLOCK_SLIP_S = 0.25;
+  let events = [];
+  let pumpId = null;
+  let generation = 0;
+  let frameHandler = null;
+  let pausedAt = null;
+  let hiddenAt = null;
 
-  useEffect(() => {
-    loadData().then((d) => {
-      if (d) setAppData(d);
-      setLoaded(true);
-    });
-  }, []);
+  const now = () => {
+    const t = AudioEngine.currentTime();
+    return t === null ? performance.now() / 1000 : t;
+  };
 
-  useEffect(() => {
-    AudioEngine.setBreathVolume(breathVolume);
-  }, [breathVolume]);
+  const stop = () => {
+    if (pumpId) clearInterval(pumpId);
+    pumpId = null;
+  };
 
-  useEffect(() => {
-    if (!isActiveSession) {
-      setShowVolumeControl(false);
+  const pump = (dropStale = false) => {
+    const t = now();
+    events.forEach((ev) => {
+      if (ev.cue && !ev.cued && ev.at <= t + LOOKAHEAD_S) {
+        ev.cued = true;
+        if (!dropStale || ev.at >= t - STALE_CUE_S) ev.cue(Math.max(ev.at, t));
+      }
+    });
+    const due = [];
+    while (events.length && events[0].at <= t) due.push(events.shift());
+    const gen = generation;
+    for (const ev of due) {
+      // A run callback may clear the plan; drop whatever was due after it
+      if (gen !== generation) return;
+      if (ev.run) ev.run(ev.at);
     }
-  }, [isActiveSession]);
+    if (frameHandler) frameHandler(t);
+    if (!events.length) stop();
+  };
 
-  const requestWakeLock = useCallback(async () => {
-    try {
-      if (typeof navigator === "undefined" || !("wakeLock" in navigator)) return;
-      if (wakeLockRef.current) return;
-      wakeLockRef.current = await navigator.wakeLock.request("screen");
-      wakeLockRef.current.addEventListener("release", () => {
-        wakeLockRef.current = null;
+  return {
+    now,
+    // events: [{ at, cue?: (when) => void, run?: (at) => void }]
+    plan: (list) => {
+      events = [...events, ...list].sort((a, b) => a.at - b.at);
+      if (!pumpId) pumpId = setInterval(() => pump(), PUMP_MS);
+      pump();
+    },
+    clear: () => {
+      generation++;
+      events = [];
+      pausedAt = null;
+      stop();
+    },
+    // Freezes the plan; anything queued ahead is re-cued after resume
+    pause: () => {
+      if (pausedAt !== null) return;
+      pump();
+      pausedAt = now();
+      stop();
+      events.forEach((ev) => {
+        ev.cued = false;
       });
-    } catch (e) {}
-  }, []);
+    },
+    // Shifts the remaining plan by the paused time plus `leadS`; returns the shift
+    resume: (leadS = 0) => {
+      if (pausedAt === null) return 0;
+      const shift = now() + leadS - pausedAt;
+      events.forEach((ev) => {
+        ev.at += shift;
+      });
+      pausedAt = null;
+      if (events.length && !pumpId) pumpId = setInterval(() => pump(), PUMP_MS);
+      return shift;
+    },
+    // Wall-clock ms of a scheduler time, so a phase that started while its
+    // callback was held up is still timed from when it should have started
+    wallTime: (at) => Date.now() - (now() - at) * 1000,
+    // Called when the page is hidden and shown again. Timers are throttled in
+    // between and some browsers suspend the audio clock too; any time the
+    // clock missed is taken off the plan so overdue events run at once, their
+    // stale cues dropped. Returns the seconds taken off.
+    hide: () => {
+      hiddenAt = { t: now(), wall: Date.now() };
+    },
+    show: () => {
+      if (!hiddenAt) return 0;
+      const lost = (Date.now() - hiddenAt.wall) / 1000 - (now() - hiddenAt.t);
+      hiddenAt = null;
+      if (pausedAt !== null || !events.length) return 0;
+      const shift = lost > CLOCK_SLIP_S ? lost : 0;
+      events.forEach((ev) => {
+        ev.at -= shift;
+      });
+      pump(true);
+      return shift;
+    },
+    onFrame: (fn) => {
+      frameHandler = fn;
+    },
+  };
+})();
 
-  const releaseWakeLock = useCallback(async () => {
-    try {
-      if (!wakeLockRef.current) return;
-      await wakeLockRef.current.release();
-      wakeLockRef.current = null;
-    } catch (e) {
-      wakeLockRef.current = null;
-    }
-  }, []);
+// ─── Voice Guide ─────────────────────────────────────────────────
+// Spoken prompts, synthesised with the Web Speech API or played from a pack of
+// recorded clips. Each prompt has a verbosity level and a clip file name
+// (numbered prompts add "-<n>", e.g. round-2.mp3); a missing clip falls back
+// to speech. Speech can't be scheduled, so it starts at cue time, which roughly
+// absorbs the synthesiser's own start-up delay.
+const VOICE_LEVELS = {
+  minimal: { label: "Minimal", rank: 1, hint: "Rounds, the hold and recovery" },
+  standard: { label: "Standard", rank: 2, hint: "Adds final breaths, minutes and the countdown" },
+  detailed: { label: "Detailed", rank: 3, hint: "Adds breath counts and the 30s mark" },
+};
 
-  useEffect(() => {
-    if (isActiveSession) requestWakeLock();
-    else releaseWakeLock();
-  }, [isActiveSession, requestWakeLock, releaseWakeLock]);
+const VOICE_PROMPTS = {
+  round: { level: 1, clip: "round" },
+  breaths: { level: 3, clip: "breaths" },
+  finalBreaths: { level: 2, clip: "final-breaths" },
+  lastBreath: { level: 1, clip: "last-breath" },
+  halfMinute: { level: 3, clip: "half-minute" },
+  minute: { level: 2, clip: "minute" },
+  breatheIn: { level: 1, clip: "breathe-in" },
+  count: { level: 2, clip: "count" },
+  letGo: { level: 1, clip: "let-go" },
+  roundComplete: { level: 2, clip: "round-complete" },
+  sessionComplete: { level: 2, clip: "session-complete" },
+};
 
-  useEffect(() => {
-    const onVisibilityChange = () => {
-      if (document.visibilityState === "visible" && isActiveSession) {
-        requestWakeLock();
-      }
-    };
-    document.addEventListener("visibilitychange", onVisibilityChange);
-    return () => {
-      document.removeEventListener("visibilitychange", onVisibilityChange);
-    };
-  }, [isActiveSession, requestWakeLock]);
+const VOICE_LANGUAGES = {
+  en: {
+    label: "EN",
+    tag: "en-US",
+    phrases: {
+      round: (n) => `Round ${n}`,
+      breaths: (n) => `${n}`,
+      finalBreaths: "Last few breaths",
+      lastBreath: "Last breath. Breathe all the way out, and hold.",
+      halfMinute: "Thirty seconds",
+      minute: (n) => (n === 1 ? "One minute" : `${n} minutes`),
+      breatheIn: "Breathe in deeply, and hold.",
+      count: (n) => ["One", "Two", "Three"][n - 1],
+      letGo: "And let go.",
+      roundComplete: "Round complete.",
+      sessionComplete: "Session complete. Well done.",
+    },
+  },
+  de: {
+    label: "DE",
+    tag: "de-DE",
+    phrases: {
+      round: (n) => `Runde ${n}`,
+      breaths: (n) => `${n}`,
+      finalBreaths: "Die letzten Atemzüge",
+      lastBreath: "Letzter Atemzug. Ganz ausatmen, und halten.",
+      halfMinute: "Dreißig Sekunden",
+      minute: (n) => (n === 1 ? "Eine Minute" : `${n} Minuten`),
+      breatheIn: "Tief einatmen, und halten.",
+      count: (n) => ["Eins", "Zwei", "Drei"][n - 1],
+      letGo: "Und loslassen.",
+      roundComplete: "Runde beendet.",
+      sessionComplete: "Sitzung beendet. Gut gemacht.",
+    },
+  },
+  nl: {
+    label: "NL",
+    tag: "nl-NL",
+    phrases: {
+      round: (n) => `Ronde ${n}`,
+      breaths: (n) => `${n}`,
+      finalBreaths: "Laatste ademhalingen",
+      lastBreath: "Laatste ademhaling. Adem helemaal uit, en houd vast.",
+      halfMinute: "Dertig seconden",
+      minute: (n) => (n === 1 ? "Eén minuut" : `${n} minuten`),
+      breatheIn: "Adem diep in, en houd vast.",
+      count: (n) => ["Eén", "Twee", "Drie"][n - 1],
+      letGo: "En laat los.",
+      roundComplete: "Ronde voltooid.",
+      sessionComplete: "Sessie voltooid. Goed gedaan.",
+    },
+  },
+  es: {
+    label: "ES",
+    tag: "es-ES",
+    phrases: {
+      round: (n) => `Ronda ${n}`,
+      breaths: (n) => `${n}`,
+      finalBreaths: "Últimas respiraciones",
+      lastBreath: "Última respiración. Suelta todo el aire, y aguanta.",
+      halfMinute: "Treinta segundos",
+      minute: (n) => (n === 1 ? "Un minuto" : `${n} minutos`),
+      breatheIn: "Inhala profundamente, y aguanta.",
+      count: (n) => ["Uno", "Dos", "Tres"][n - 1],
+      letGo: "Y suelta.",
+      roundComplete: "Ronda completada.",
+      sessionComplete: "Sesión completada. Bien hecho.",
+    },
+  },
+  fr: {
+    label: "FR",
+    tag: "fr-FR",
+    phrases: {
+      round: (n) => `Tour ${n}`,
+      breaths: (n) => `${n}`,
+      finalBreaths: "Dernières respirations",
+      lastBreath: "Dernière respiration. Expirez complètement, et retenez.",
+      halfMinute: "Trente secondes",
+      minute: (n) => (n === 1 ? "Une minute" : `${n} minutes`),
+      breatheIn: "Inspirez profondément, et retenez.",
+      count: (n) => ["Un", "Deux", "Trois"][n - 1],
+      letGo: "Et relâchez.",
+      roundComplete: "Tour terminé.",
+      sessionComplete: "Séance terminée. Bravo.",
+    },
+  },
+};
 
-  useEffect(() => {
-    return () => {
-      releaseWakeLock();
-    };
-  }, [releaseWakeLock]);
+// Clip packs are stored under this asset prefix, one asset per file
+const VOICE_ASSET_PREFIX = "voice";
+const VOICE_CLIP_PATTERN = /^([a-z-]+?)(?:-(\d+))?$/;
 
-  const clearTimers = useCallback(() => {
-    if (intervalRef.current) clearInterval(intervalRef.current);
-    if (timeoutRef.current) clearTimeout(timeoutRef.current);
-    intervalRef.current = null;
-    timeoutRef.current = null;
-  }, []);
+// Maps a clip file name ("Round-2.mp3") to its clip key ("round-2"), or null
+const voiceClipKey = (fileName) => {
+  const key = fileName.toLowerCase().replace(/\.[^.]+$/, "");
+  const match = VOICE_CLIP_PATTERN.exec(key);
+  if (!match) return null;
+  return Object.values(VOICE_PROMPTS).some((p) => p.clip === match[1]) ? key : null;
+};
 
-  // ── Breathing phase logic ──
-  const startBreathingPhase = useCallback(() => {
-    setPhase(PHASE.BREATHING);
-    setBreathCount(0);
-    setIsInhale(true);
-    setBreathingAnim(false);
-    let count = 0;
+const VoiceGuide = (() => {
+  let config = { enabled: false, lang: "en", level: "standard", source: "speech" };
+  // clip key → { buffer, gain } from AudioEngine.decodeClip
+  let clips = {};
 
-    clearTimers();
+  const synth = () => (typeof window !== "undefined" && window.speechSynthesis) || null;
 
-    const breathCycle = () => {
-      if (phaseRef.current !== PHASE.BREATHING) return;
-      setIsInhale(true);
-      setBreathingAnim(true);
-      AudioEngine.inhale();
-
-      timeoutRef.current = setTimeout(() => {
-        if (phaseRef.current !== PHASE.BREATHING) return;
-        count++;
-        setBreathCount(count);
-
-        if (count >= breathsPerRound) {
-          clearTimers();
-          setIsInhale(true);
-          setBreathingAnim(true);
-          AudioEngine.inhale();
-          timeoutRef.current = setTimeout(() => {
-            if (phaseRef.current !== PHASE.BREATHING) return;
-            setBreathingAnim(false);
-            setPhase(PHASE.RETENTION);
-            setRetentionTime(0);
-            AudioEngine.holdStart();
-          }, 850);
-          return;
-        }
+  const pickVoice = (s, tag) => {
+    const lang = tag.slice(0, 2);
+    const voices = s.getVoices().filter((v) => v.lang.replace("_", "-").startsWith(lang));
+    return (
+      voices.find((v) => v.lang.replace("_", "-") === tag && v.localService) ||
+      voices.find((v) => v.localService) ||
+      voices[0] ||
+      null
+    );
+  };
 
-        setIsInhale(false);
-        setBreathingAnim(false);
-        AudioEngine.exhale();
-      }, EXHALE_CUE_DELAY_MS);
+  const speak = (text) => {
+    const s = synth();
+    if (!s || !text) return;
+    const { tag } = VOICE_LANGUAGES[config.lang] || VOICE_LANGUAGES.en;
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = tag;
+    utterance.voice = pickVoice(s, tag);
+    utterance.rate = 0.95;
+    utterance.volume = Math.min(1, AudioEngine.channelLevel("voice"));
+    utterance.onstart = () => AudioEngine.duck();
+    utterance.onend = utterance.onerror = () => {
+      if (!s.pending) AudioEngine.unduck();
     };
+    s.speak(utterance);
+  };
 
-    setTimeout(breathCycle, 300);
-    intervalRef.current = setInterval(breathCycle, BREATH_CYCLE_MS);
-  }, [breathsPerRound, clearTimers]);
+  const phraseFor = (prompt, n) => {
+    const phrase = (VOICE_LANGUAGES[config.lang] || VOICE_LANGUAGES.en).phrases[prompt];
+    return typeof phrase === "function" ? phrase(n) : phrase;
+  };
 
-  // ── Retention timer ──
-  useEffect(() => {
-    if (phase === PHASE.RETENTION) {
-      clearTimers();
-      intervalRef.current = setInterval(() => {
-        setRetentionTime((t) => {
-          if ((t + 1) % 60 === 0) AudioEngine.tick();
-          return t + 1;
+  const wants = (prompt) =>
+    config.enabled && VOICE_PROMPTS[prompt].level <= VOICE_LEVELS[config.level].rank;
+
+  return {
+    configure: (next) => {
+      config = { ...config, ...next };
+    },
+    isSupported: () => !!synth(),
+    wants,
+    // iOS only lets speech start inside a user gesture; call from the tap that starts a session
+    prime: () => {
+      const s = synth();
+      if (!s || !config.enabled || config.source !== "speech") return;
+      const utterance = new SpeechSynthesisUtterance("");
+      utterance.volume = 0;
+      s.speak(utterance);
+    },
+    say: (prompt, n, at) => {
+      if (!wants(prompt)) return;
+      const key =
+        n === undefined ? VOICE_PROMPTS[prompt].clip : `${VOICE_PROMPTS[prompt].clip}-${n}`;
+      if (config.source === "clips" && clips[key]) {
+        AudioEngine.playClip(clips[key], at);
+        return;
+      }
+      speak(phraseFor(prompt, n));
+    },
+    preview: () => {
+      const key = `${VOICE_PROMPTS.round.clip}-1`;
+      if (config.source === "clips" && clips[key]) AudioEngine.playClip(clips[key]);
+      else speak(`${phraseFor("round", 1)}. ${phraseFor("lastBreath")}`);
+    },
+    setClips: (next) => {
+      clips = next;
+    },
+    clipKeys: () => Object.keys(clips),
+    stop: () => {
+      const s = synth();
+      if (s) s.cancel();
+      AudioEngine.unduck();
+    },
+  };
+})();
+
+// Reads the stored clip pack into the voice guide; resolves to the clip count
+const loadVoiceClips = async () => {
+  const assets = await loadAssets(VOICE_ASSET_PREFIX);
+  const decoded = await Promise.all(
+    assets.map(async ({ name, blob }) => [
+      name,
+      await AudioEngine.decodeClip(await blob.arrayBuffer()),
+    ]),
+  );
+  const clips = Object.fromEntries(decoded.filter(([, clip]) => clip));
+  VoiceGuide.setClips(clips);
+  return Object.keys(clips).length;
+};
+
+// ─── Haptics ─────────────────────────────────────────────────────
+// Vibration patterns (ms on/off) for the session cues, fired from the same
+// scheduler events as the sound. Vibration can't be scheduled ahead, so each
+// pattern waits out the lookahead; devices without it are skipped.
+const HAPTIC_PATTERNS = {
+  inhale: [60],
+  exhale: [25, 50, 25],
+  hold: [300],
+  minute: [40, 80, 40],
+  countdown: [90],
+  roundComplete: [120, 80, 120, 80, 260],
+};
+
+const Haptics = (() => {
+  let enabled = false;
+  const timers = new Set();
+
+  const isSupported = () =>
+    typeof navigator !== "undefined" && typeof navigator.vibrate === "function";
+
+  const vibrate = (pattern) => {
+    try {
+      navigator.vibrate(pattern);
+    } catch (e) {}
+  };
+
+  return {
+    isSupported,
+    setEnabled: (on) => {
+      enabled = on;
+    },
+    // `at` is on the scheduler clock; omitted means now
+    play: (name, at) => {
+      if (!enabled || !isSupported()) return;
+      const wait = at === undefined ? 0 : (at - SessionScheduler.now()) * 1000;
+      if (wait <= 5) {
+        vibrate(HAPTIC_PATTERNS[name]);
+        return;
+      }
+      const id = setTimeout(() => {
+        timers.delete(id);
+        vibrate(HAPTIC_PATTERNS[name]);
+      }, wait);
+      timers.add(id);
+    },
+    cancel: () => {
+      timers.forEach((id) => clearTimeout(id));
+      timers.clear();
+      if (isSupported()) vibrate(0);
+    },
+  };
+})();
+
+// ─── Breath Detection ────────────────────────────────────────────
+// The detector itself lives in breathDetection.js so it can be run on
+// recorded buffers outside the browser.
+// Live input: the microphone through an AnalyserNode on the engine's context
+const BreathMic = (() => {
+  const FRAME_MS = 40;
+  let stream = null;
+  let source = null;
+  let analyser = null;
+  let timer = null;
+
+  const isSupported = () =>
+    typeof navigator !== "undefined" &&
+    !!navigator.mediaDevices &&
+    typeof navigator.mediaDevices.getUserMedia === "function";
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    if (source) source.disconnect();
+    if (stream) stream.getTracks().forEach((track) => track.stop());
+    stream = null;
+    source = null;
+    analyser = null;
+  };
+
+  // Calls onFrame(samples, t) every FRAME_MS until stop(); rejects if the mic is refused
+  const listen = async (onFrame) => {
+    if (!isSupported()) throw new Error("This browser has no microphone access");
+    const c = AudioEngine.context();
+    if (!c) throw new Error("Audio is unavailable");
+    if (!stream) {
+      // Echo cancellation keeps the app's own cues out of the detector
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: false, autoGainControl: false },
+      });
+      source = c.createMediaStreamSource(stream);
+      analyser = c.createAnalyser();
+      analyser.fftSize = 2048;
+      source.connect(analyser);
+    }
+    const frame = new Float32Array(analyser.fftSize);
+    clearInterval(timer);
+    timer = setInterval(() => {
+      if (!analyser) return;
+      analyser.getFloatTimeDomainData(frame);
+      onFrame(frame, c.currentTime);
+    }, FRAME_MS);
+  };
+
+  // Listens to the quiet room for `durationMs`; resolves to its noise floor
+  const calibrate = async (durationMs) => {
+    const energies = [];
+    await listen((frame) => energies.push(frameEnergy(frame)));
+    await new Promise((resolve) => setTimeout(resolve, durationMs));
+    stop();
+    return measureNoiseFloor(energies);
+  };
+
+  return { isSupported, listen, stop, calibrate };
+})();
+
+// ─── Storage helpers ─────────────────────────────────────────────
+// App data lives in IndexedDB, or in localStorage where IndexedDB can't be
+// opened (some private browsing modes). Every blob carries a schema version
+// and is migrated forward on load (see migrations.js). Problems are reported
+// to warning listeners rather than swallowed.
+const STORAGE_KEY = "whm_breathing_data";
+const DB_NAME = "whm_breathing";
+const DB_STORE = "appData";
+const DB_KEY = "data";
+// Audio files the user loads, kept as Blobs outside the JSON blob
+const ASSET_STORE = "assets";
+const DB_VERSION = 2;
+
+const storageListeners = new Set();
+const warnStorage = (message) => storageListeners.forEach((fn) => fn(message));
+const onStorageWarning = (fn) => {
+  storageListeners.add(fn);
+  return () => storageListeners.delete(fn);
+};
+
+let dbPromise = null;
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") throw new Error("IndexedDB unavailable");
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        [DB_STORE, ASSET_STORE].forEach((name) => {
+          if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error("IndexedDB is blocked by another tab"));
+    }).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const idbRequest = (mode, fn, storeName = DB_STORE) =>
+  openDB().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+      }),
+  );
+
+// "indexeddb" | "localstorage", settled by the first load
+let storageBackend = null;
+// Set when the stored data is from a newer version; nothing is written until a
+// reload, so this build can't overwrite fields it doesn't know about
+let readOnly = false;
+
+const readLocal = () => {
+  let raw = null;
+  try {
+    raw = localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    try {
+      localStorage.setItem(`${STORAGE_KEY}_corrupt`, raw);
+    } catch {}
+    warnStorage("Saved data couldn't be read. A copy was kept and a fresh log started.");
+    return null;
+  }
+};
+
+const isQuotaError = (err) =>
+  !!err && (err.name === "QuotaExceededError" || err.name === "NS_ERROR_DOM_QUOTA_REACHED");
+
+const describeWriteError = (err) =>
+  isQuotaError(err)
+    ? "Storage is full, so your latest changes weren't saved. Export a backup to keep them."
+    : `Your latest changes couldn't be saved${err && err.message ? ` (${err.message})` : ""}.`;
+
+const writeData = async (record) => {
+  if (storageBackend === "indexeddb") {
+    await idbRequest("readwrite", (store) => store.put(record, DB_KEY));
+    return;
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+};
+
+// Writes are chained so a slow write can never land after a newer one
+let writeQueue = Promise.resolve(true);
+
+const saveData = (data) => {
+  if (readOnly) return Promise.resolve(false);
+  const record = { ...data, version: SCHEMA_VERSION };
+  writeQueue = writeQueue
+    .then(() => writeData(record))
+    .then(
+      () => true,
+      (err) => {
+        warnStorage(describeWriteError(err));
+        return false;
+      },
+    );
+  return writeQueue;
+};
+
+const loadData = async () => {
+  let stored = null;
+  try {
+    stored = await idbRequest("readonly", (store) => store.get(DB_KEY));
+    storageBackend = "indexeddb";
+  } catch {
+    storageBackend = "localstorage";
+  }
+
+  // First run on IndexedDB: pick up whatever the localStorage build left behind
+  const fromLocal = !stored;
+  if (fromLocal) stored = readLocal();
+  if (!stored) return null;
+
+  if (stored.version > SCHEMA_VERSION) {
+    readOnly = true;
+    warnStorage(
+      "Saved data is from a newer version of the app, so changes here won't be saved. Reload to update.",
+    );
+    return stored;
+  }
+  const data = migrate(stored);
+  if (data.version !== stored.version || (fromLocal && storageBackend === "indexeddb")) {
+    const saved = await saveData(data);
+    if (saved && fromLocal && storageBackend === "indexeddb") {
+      try {
+        localStorage.removeItem(STORAGE_KEY);
+      } catch {}
+    }
+  }
+  return data;
+};
+
+// Assets are keyed "<prefix>/<name>" and stored as { name, blob }. There is no
+// localStorage fallback; callers surface the rejection instead.
+const assetRange = (prefix) => IDBKeyRange.bound(`${prefix}/`, `${prefix}/\uffff`);
+
+const loadAssets = (prefix) =>
+  idbRequest("readonly", (store) => store.getAll(assetRange(prefix)), ASSET_STORE);
+
+const replaceAssets = (prefix, assets) =>
+  idbRequest(
+    "readwrite",
+    (store) => {
+      store.delete(assetRange(prefix));
+      assets.forEach((asset) => store.put(asset, `${prefix}/${asset.name}`));
+      return store.count(assetRange(prefix));
+    },
+    ASSET_STORE,
+  );
+
+const saveAsset = (prefix, asset) =>
+  idbRequest("readwrite", (store) => store.put(asset, `${prefix}/${asset.name}`), ASSET_STORE);
+
+const deleteAsset = (prefix, name) =>
+  idbRequest("readwrite", (store) => store.delete(`${prefix}/${name}`), ASSET_STORE);
+
+// ─── Service worker ──────────────────────────────────────────────
+// Production builds register sw.js (built from src/sw.js). A new deploy
+// installs in the background and waits; `onUpdateReady` gets the waiting
+// worker so the app can offer a reload instead of swapping code mid-session.
+let swUpdateRequested = false;
+
+const registerServiceWorker = (onUpdateReady) => {
+  if (!import.meta.env.PROD || typeof navigator === "undefined") return;
+  if (!("serviceWorker" in navigator)) return;
+  const base = import.meta.env.BASE_URL;
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (swUpdateRequested) window.location.reload();
+  });
+
+  navigator.serviceWorker
+    .register(`${base}sw.js`, { scope: base })
+    .then((reg) => {
+      const offer = (worker) => {
+        if (worker && navigator.serviceWorker.controller) onUpdateReady(worker);
+      };
+      offer(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          if (worker.state === "installed") offer(worker);
         });
-      }, 1000);
+      });
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "visible") reg.update().catch(() => {});
+      });
+    })
+    .catch(() => {});
+};
+
+const applyServiceWorkerUpdate = (worker) => {
+  swUpdateRequested = true;
+  worker.postMessage({ type: "SKIP_WAITING" });
+};
+
+// ─── Reminders ───────────────────────────────────────────────────
+// Daily or weekday notifications, shown by the service worker (src/sw.js),
+// which skips any day that already has a session. Nothing schedules them
+// exactly: the open app wakes the worker at each reminder time, handing it
+// the data it needs, and where periodic background sync is granted (installed
+// apps) the browser wakes it now and then with no tab open, to read the data
+// from IndexedDB. That last path is best effort and absent on localStorage.
+const REMINDER_TAG = "reminder";
+const REMINDER_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_REMINDER_TIMES = 3;
+
+const remindersSupported = () =>
+  import.meta.env.PROD &&
+  typeof navigator !== "undefined" &&
+  "serviceWorker" in navigator &&
+  typeof Notification !== "undefined";
+
+const backgroundRemindersSupported = () =>
+  remindersSupported() &&
+  typeof ServiceWorkerRegistration !== "undefined" &&
+  "periodicSync" in ServiceWorkerRegistration.prototype;
+
+// Asks for permission and a periodic wake-up; resolves to an error message, or null
+const enableReminderDelivery = async () => {
+  if (!remindersSupported()) return "This browser can't show reminders.";
+  if ((await Notification.requestPermission()) !== "granted") {
+    return "Notifications are blocked for this site.";
+  }
+  try {
+    const reg = await navigator.serviceWorker.ready;
+    if (reg.periodicSync) {
+      await reg.periodicSync.register(REMINDER_TAG, { minInterval: REMINDER_SYNC_INTERVAL_MS });
     }
-    return () => {
-      if (phase === PHASE.RETENTION) clearTimers();
+  } catch {}
+  return null;
+};
+
+const disableReminderDelivery = () => {
+  if (!remindersSupported()) return;
+  navigator.serviceWorker.ready
+    .then((reg) => reg.periodicSync && reg.periodicSync.unregister(REMINDER_TAG))
+    .catch(() => {});
+};
+
+const backgroundRemindersAvailable = () =>
+  backgroundRemindersSupported() && storageBackend === "indexeddb";
+
+// Passes the data along so the worker needn't read storage it may not reach
+const wakeReminderWorker = ({ reminders, sessions, presets, lastPresetId }) => {
+  const data = { reminders, sessions, presets, lastPresetId };
+  navigator.serviceWorker.ready
+    .then((reg) => reg.active && reg.active.postMessage({ type: "CHECK_REMINDERS", data }))
+    .catch(() => {});
+};
+
+// ─── Phases ──────────────────────────────────────────────────────
+const PHASE = {
+  SETUP: "setup",
+  BREATHING: "breathing",
+  RETENTION: "retention",
+  RECOVERY: "recovery",
+  ROUND_DONE: "round_done",
+  COMPLETE: "complete",
+};
+
+const ACTIVE_PHASES = [PHASE.BREATHING, PHASE.RETENTION, PHASE.RECOVERY];
+
+// Ambient level per phase; phases left out fade the layer away
+const AMBIENT_LEVELS = {
+  [PHASE.BREATHING]: 0.6,
+  [PHASE.RETENTION]: 1,
+  [PHASE.RECOVERY]: 0.6,
+  [PHASE.ROUND_DONE]: 0.4,
+};
+
+// Screens reachable from setup while no session is running
+const VIEW = {
+  HOME: "home",
+  HISTORY: "history",
+  ANALYTICS: "analytics",
+  BACKUP: "backup",
+  SOUND: "sound",
+  REMINDERS: "reminders",
+};
+const FIRST_BREATH_DELAY_MS = 300;
+// Room for "Round n" before the first breath when the voice guide is on
+const VOICE_LEAD_MS = 1400;
+const FINAL_INHALE_MS = 850;
+const RESUME_COUNTDOWN_S = 3;
+const ROUND_DONE_DELAY_MS = 300;
+// Orb eases over this share of each inhale/exhale, leaving a short rest at full size
+const ORB_TRANSITION_RATIO = 0.75;
+
+// ─── Tempo ───────────────────────────────────────────────────────
+const TEMPO_PRESETS = {
+  slow: { label: "Slow", inhaleMs: 2500, exhaleMs: 2500 },
+  medium: { label: "Medium", inhaleMs: 2000, exhaleMs: 2000 },
+  fast: { label: "Fast", inhaleMs: 1500, exhaleMs: 1500 },
+};
+const CUSTOM_TEMPO = "custom";
+const CUSTOM_CUE_LIMITS = { min: 1000, max: 5000, step: 250 };
+
+// Multiplier applied to the tempo, interpolated from the first to the last breath
+const PACE_CURVES = {
+  steady: { label: "Steady", from: 1, to: 1 },
+  quicken: { label: "Speed up", from: 1.2, to: 0.8 },
+  slacken: { label: "Slow down", from: 0.8, to: 1.2 },
+};
+
+// ─── Settings & presets ──────────────────────────────────────────
+// Everything a session is configured by; persisted as the last-used setup
+// and snapshotted into named presets.
+const DEFAULT_SETTINGS = {
+  rounds: 3,
+  breathsPerRound: 40,
+  tempoPreset: "medium",
+  customTempo: { inhaleMs: 2000, exhaleMs: 2000 },
+  paceCurve: "steady",
+  recoverySeconds: 15,
+  // 0 = off for both; the cap ends the hold automatically
+  retentionTarget: 0,
+  retentionCap: 0,
+  protocolEnabled: false,
+  protocol: [],
+  voiceEnabled: false,
+  voiceLang: "en",
+  voiceLevel: "standard",
+  // "speech" | "clips"
+  voiceSource: "speech",
+  soundPack: "classic",
+  ambientSound: "off",
+  hapticsEnabled: false,
+  // Dimmed screen, whole-screen tap to end the hold, summary moves on by itself
+  eyesClosed: false,
+  autoAdvanceSeconds: 10,
+  // Microphone: ends the hold on the recovery inhale and counts breaths.
+  // micNoiseFloor 0 means not calibrated yet.
+  breathDetection: false,
+  micSensitivity: 0.5,
+  micNoiseFloor: 0,
+  // How sessions saved on quit (`partial: true`) count; see PARTIAL_SESSION_MODES
+  partialSessions: "streak",
+  // Rest days per week that don't break the streak, and sessions per week
+  // to aim for (0 = no goal)
+  streakFreezes: 0,
+  weeklyGoal: 0,
+};
+const SETTINGS_SAVE_DELAY_MS = 600;
+const AUTO_ADVANCE_LIMITS = { min: 5, max: 60, step: 5 };
+const MIC_SENSITIVITY_LIMITS = { min: 0.1, max: 1, step: 0.1 };
+const MIC_CALIBRATION_MS = 3000;
+// The exhale that starts the hold is audible too; ignore anything before this
+const MIC_MIN_HOLD_S = 5;
+
+const withDefaults = (settings) => ({ ...DEFAULT_SETTINGS, ...settings });
+
+// ─── Protocol ────────────────────────────────────────────────────
+const PROTOCOL_MAX_ROUNDS = 10;
+const ROUND_COUNT_LIMITS = { min: 1, max: 10, step: 1 };
+const BREATH_COUNT_LIMITS = { min: 20, max: 60, step: 5 };
+
+const PROTOCOL_LIMITS = {
+  breaths: { min: 10, max: 80, step: 5 },
+  recoverySeconds: { min: 5, max: 60, step: 5 },
+  // 0 means no target / no cap
+  retentionTarget: { min: 0, max: 600, step: 15 },
+  retentionCap: { min: 0, max: 600, step: 30 },
+};
+
+const protocolRound = (settings) => ({
+  breaths: settings.breathsPerRound,
+  tempoPreset: settings.tempoPreset,
+  recoverySeconds: settings.recoverySeconds,
+  retentionTarget: settings.retentionTarget,
+});
+
+// Seeds an editable protocol from the uniform rounds × breaths setup
+const seedProtocol = (settings) =>
+  Array.from({ length: settings.rounds }, () => protocolRound(settings));
+
+// The concrete rounds a session will run, whether uniform or from the protocol
+const buildRoundPlan = (settings) => {
+  const s = withDefaults(settings);
+  const source =
+    s.protocolEnabled && s.protocol.length > 0
+      ? s.protocol
+      : Array.from({ length: s.rounds }, () => protocolRound(s));
+  return source.map((r) => ({
+    breaths: r.breaths,
+    tempo: resolveTempo(r.tempoPreset, s.customTempo),
+    recoverySeconds: r.recoverySeconds,
+    retentionTarget: r.retentionTarget || 0,
+    retentionCap: s.retentionCap,
+  }));
+};
+
+// What a saved session record keeps of its plan
+const planToProtocol = (plan) =>
+  plan.map((r) => ({
+    breaths: r.breaths,
+    inhaleMs: r.tempo.inhaleMs,
+    exhaleMs: r.tempo.exhaleMs,
+    recoverySeconds: r.recoverySeconds,
+    retentionTarget: r.retentionTarget,
+    retentionCap: r.retentionCap,
+  }));
+
+const isUniformProtocol = (protocol) =>
+  protocol.every((r) => r.breaths === protocol[0].breaths && !r.retentionTarget);
+
+// "3 × 40" for uniform sessions, "30/40/50" when rounds differ
+const fmtShape = ({ rounds, breathsPerRound, protocol }) =>
+  protocol && protocol.length > 0 && !isUniformProtocol(protocol)
+    ? protocol.map((r) => r.breaths).join("/")
+    : `${rounds} × ${breathsPerRound}`;
+
+const newPresetId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const resolveTempo = (presetId, customTempo) =>
+  presetId === CUSTOM_TEMPO ? customTempo : TEMPO_PRESETS[presetId] || TEMPO_PRESETS.medium;
+
+const tempoLabel = (presetId, customTempo) =>
+  presetId === CUSTOM_TEMPO
+    ? `${fmtCue(customTempo.inhaleMs)}/${fmtCue(customTempo.exhaleMs)}`
+    : (TEMPO_PRESETS[presetId] || TEMPO_PRESETS.medium).label.toLowerCase();
+
+const breathTiming = (tempo, curveId, index, total) => {
+  const curve = PACE_CURVES[curveId] || PACE_CURVES.steady;
+  const progress = total > 1 ? index / (total - 1) : 0;
+  const factor = curve.from + (curve.to - curve.from) * progress;
+  return {
+    inhaleMs: Math.round(tempo.inhaleMs * factor),
+    exhaleMs: Math.round(tempo.exhaleMs * factor),
+  };
+};
+
+// ─── Formatters ──────────────────────────────────────────────────
+const fmtTime = (s) => {
+  const m = Math.floor(s / 60);
+  const sec = s % 60;
+  return m > 0 ? `${m}:${String(sec).padStart(2, "0")}` : `${sec}s`;
+};
+
+const fmtDay = (dateStr) =>
+  new Date(`${dateStr}T00:00:00`).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+
+const fmtClock = (ts) =>
+  new Date(ts).toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+
+const fmtOptionalTime = (s) => (s > 0 ? fmtTime(s) : "off");
+
+const fmtPercent = (value) => `${Math.round(value * 100)}%`;
+
+const fmtCue = (ms) => `${Number((ms / 1000).toFixed(2))}s`;
+
+const orbTransition = (ms) => {
+  const d = Math.round(ms * ORB_TRANSITION_RATIO);
+  return `transform ${d}ms cubic-bezier(0.4, 0, 0.2, 1), opacity ${d}ms ease`;
+};
+
+// ─── Accessibility ───────────────────────────────────────────────
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+const usePrefersReducedMotion = () => {
+  const [reduced, setReduced] = useState(
+    () =>
+      typeof window !== "undefined" &&
+      !!window.matchMedia &&
+      window.matchMedia(REDUCED_MOTION_QUERY).matches,
+  );
+  useEffect(() => {
+    if (!window.matchMedia) return;
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    const onChange = () => setReduced(query.matches);
+    query.addEventListener("change", onChange);
+    return () => query.removeEventListener("change", onChange);
+  }, []);
+  return reduced;
+};
+
+// "1 minute 30 seconds" rather than "1:30", which screen readers read as a time of day
+const spokenDuration = (s) => {
+  const m = Math.floor(s / 60);
+  const sec = s % 60;
+  const parts = [];
+  if (m > 0) parts.push(`${m} minute${m === 1 ? "" : "s"}`);
+  if (sec > 0 || m === 0) parts.push(`${sec} second${sec === 1 ? "" : "s"}`);
+  return parts.join(" ");
+};
+
+// Spin-button semantics for a stepper value: focusable, arrow keys step it
+const stepperValueProps = (label, value, limits, format, onChange) => ({
+  role: "spinbutton",
+  tabIndex: 0,
+  "aria-label": label,
+  "aria-valuenow": value,
+  "aria-valuemin": limits.min,
+  "aria-valuemax": limits.max,
+  "aria-valuetext": format ? format(value) : undefined,
+  onKeyDown: (e) => {
+    const dir = { ArrowUp: 1, ArrowRight: 1, ArrowDown: -1, ArrowLeft: -1 }[e.key];
+    if (!dir) return;
+    e.preventDefault();
+    onChange(Math.min(limits.max, Math.max(limits.min, value + dir * limits.step)));
+  },
+});
+
+// Keeps Tab and Shift+Tab cycling through the buttons of an open dialog
+const trapFocus = (e, container) => {
+  if (e.key !== "Tab" || !container) return;
+  const items = [...container.querySelectorAll("button:not([disabled])")];
+  if (items.length === 0) return;
+  const first = items[0];
+  const last = items[items.length - 1];
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+};
+
+// Typing in a field must never pause or end the session
+const isTypingTarget = (el) =>
+  !!el && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName));
+
+// ─── Main Component ──────────────────────────────────────────────
+export default function WimHofBreathing() {
+  const [appData, setAppData] = useState({ sessions: [] });
+  const [loaded, setLoaded] = useState(false);
+  const [storageWarning, setStorageWarning] = useState(null);
+  const [updateWorker, setUpdateWorker] = useState(null);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [mixer, setMixer] = useState(DEFAULT_MIX);
+  const [pendingStart, setPendingStart] = useState(false);
+  const [phase, setPhase] = useState(PHASE.SETUP);
+  const [view, setView] = useState(VIEW.HOME);
+  const [currentRound, setCurrentRound] = useState(0);
+  const [breathCount, setBreathCount] = useState(0);
+  const [isInhale, setIsInhale] = useState(true);
+  const [retentionTime, setRetentionTime] = useState(0);
+  const [recoveryCountdown, setRecoveryCountdown] = useState(15);
+  const [roundRetentions, setRoundRetentions] = useState([]);
+  const [sessionStart, setSessionStart] = useState(null);
+  const [sessionPlan, setSessionPlan] = useState([]);
+  const [breathingAnim, setBreathingAnim] = useState(false);
+  const [cueMs, setCueMs] = useState(TEMPO_PRESETS.medium.inhaleMs);
+  const [showQuitConfirm, setShowQuitConfirm] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [resumeCountdown, setResumeCountdown] = useState(0);
+  const [showVolumeControl, setShowVolumeControl] = useState(false);
+  const [autoAdvanceLeft, setAutoAdvanceLeft] = useState(0);
+  const [heardBreaths, setHeardBreaths] = useState(0);
+  const [micError, setMicError] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+  const [interrupted, setInterrupted] = useState(null);
+  // Timestamp of the record the COMPLETE screen's journal writes to
+  const [journalId, setJournalId] = useState(null);
+  // Preset a tapped reminder opened, offered on the home screen
+  const [readyPreset, setReadyPreset] = useState(null);
+  const reducedMotion = usePrefersReducedMotion();
+
+  const appDataRef = useRef(appData);
+  const retentionStartRef = useRef(0);
+  const recoveryEndRef = useRef(0);
+  const pausedRef = useRef(false);
+  const pausedAtRef = useRef(0);
+  const endRetentionRef = useRef(null);
+  const nextRoundRef = useRef(null);
+  const autoAdvanceAtRef = useRef(0);
+  const detectorRef = useRef(null);
+  const micFrameRef = useRef(null);
+  const shortcutRef = useRef(null);
+  const announceRef = useRef(null);
+  const offerPresetRef = useRef(null);
+  const quitDialogRef = useRef(null);
+  const keepGoingRef = useRef(null);
+  const phaseRef = useRef(phase);
+  const wakeLockRef = useRef(null);
+  phaseRef.current = phase;
+  appDataRef.current = appData;
+  const isActiveSession = ACTIVE_PHASES.includes(phase);
+
+  const {
+    rounds,
+    breathsPerRound,
+    tempoPreset,
+    customTempo,
+    paceCurve,
+    protocolEnabled,
+    protocol,
+    voiceEnabled,
+    voiceLang,
+    voiceLevel,
+    voiceSource,
+    soundPack,
+    ambientSound,
+    hapticsEnabled,
+    eyesClosed,
+    autoAdvanceSeconds,
+    breathDetection,
+    micSensitivity,
+    micNoiseFloor,
+    partialSessions,
+    streakFreezes,
+    weeklyGoal,
+  } = settings;
+  const tempo = resolveTempo(tempoPreset, customTempo);
+  const totalRounds = sessionPlan.length;
+  const activeRound = sessionPlan[currentRound - 1] || null;
+
+  // Setters keep the useState shape so steppers can pass updater functions
+  const settingSetter = (key) => (value) =>
+    setSettings((prev) => ({
+      ...prev,
+      [key]: typeof value === "function" ? value(prev[key]) : value,
+    }));
+  const setRounds = settingSetter("rounds");
+  const setBreathsPerRound = settingSetter("breathsPerRound");
+  const setTempoPreset = settingSetter("tempoPreset");
+  const setCustomTempo = settingSetter("customTempo");
+  const setPaceCurve = settingSetter("paceCurve");
+  const setProtocol = settingSetter("protocol");
+  const setRecoverySeconds = settingSetter("recoverySeconds");
+  const setRetentionTarget = settingSetter("retentionTarget");
+  const setRetentionCap = settingSetter("retentionCap");
+  const setAutoAdvanceSeconds = settingSetter("autoAdvanceSeconds");
+
+  const toggleProtocol = () => {
+    setSettings((prev) => ({
+      ...prev,
+      protocolEnabled: !prev.protocolEnabled,
+      protocol: prev.protocol.length > 0 ? prev.protocol : seedProtocol(prev),
+    }));
+  };
+
+  // Applies an update to the latest app data and persists it (unless storage
+  // is read-only, when it lasts until the page closes)
+  const commitData = useCallback((update) => {
+    const next = update(appDataRef.current);
+    appDataRef.current = next;
+    setAppData(next);
+    saveData(next);
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = onStorageWarning(setStorageWarning);
+    loadData().then((d) => {
+      if (d) {
+        setAppData(d);
+        if (d.settings) setSettings(withDefaults(d.settings));
+        if (d.mixer) setMixer({ ...DEFAULT_MIX, ...d.mixer });
+      }
+      setInterrupted(readLiveSession());
+      const presetId = new URLSearchParams(window.location.search).get("preset");
+      if (presetId) {
+        window.history.replaceState(null, "", window.location.pathname);
+        offerPreset(presetId, d ? d.presets : []);
+      }
+      setLoaded(true);
+    });
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    registerServiceWorker(setUpdateWorker);
+  }, []);
+
+  // ── Reminders ──
+  const reminders = { ...DEFAULT_REMINDERS, ...appData.reminders };
+
+  const updateReminders = (patch) => {
+    commitData((d) => ({ ...d, reminders: { ...DEFAULT_REMINDERS, ...d.reminders, ...patch } }));
+  };
+
+  // Loads a preset's settings without starting it; audio still needs a tap
+  const offerPreset = (id, presets = appDataRef.current.presets) => {
+    const preset = (presets || []).find((p) => p.id === id);
+    if (!preset || phaseRef.current !== PHASE.SETUP) return;
+    setSettings(withDefaults(preset.settings));
+    if (preset.mix) setMixer((m) => ({ ...m, ...preset.mix }));
+    setView(VIEW.HOME);
+    setReadyPreset(preset);
+  };
+  offerPresetRef.current = offerPreset;
+
+  // A reminder tapped while the app is already open. Read through a ref so
+  // the listener is added only once.
+  useEffect(() => {
+    if (!remindersSupported()) return;
+    const onMessage = (e) => {
+      if (e.data && e.data.type === "OPEN_PRESET") offerPresetRef.current(e.data.presetId);
+    };
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+  }, []);
+
+  // While open, wake the worker at each reminder time; it decides whether to
+  // show one. Keyed on the times' text, since the array is new on every load.
+  const { enabled: remindersOn, days: reminderDays } = reminders;
+  const reminderTimes = reminders.times.join(",");
+  useEffect(() => {
+    if (!loaded || !remindersOn || !remindersSupported()) return;
+    const schedule = { days: reminderDays, times: reminderTimes ? reminderTimes.split(",") : [] };
+    let id = null;
+    const arm = () => {
+      const at = nextReminderAt(schedule);
+      if (at === null) return;
+      id = setTimeout(
+        () => {
+          wakeReminderWorker(appDataRef.current);
+          arm();
+        },
+        at - Date.now() + 1000,
+      );
     };
-  }, [phase, clearTimers]);
+    arm();
+    return () => clearTimeout(id);
+  }, [loaded, remindersOn, reminderDays, reminderTimes]);
+
+  // Remember the last-used configuration once the user stops adjusting it
+  useEffect(() => {
+    if (!loaded) return;
+    const id = setTimeout(() => {
+      commitData((d) => (d.settings === settings ? d : { ...d, settings }));
+    }, SETTINGS_SAVE_DELAY_MS);
+    return () => clearTimeout(id);
+  }, [loaded, settings, commitData]);
+
+  // The mixer is saved on its own and as each preset's levels (`mix`); starting
+  // a preset sets the mixer to them, as it does the session settings.
+  useEffect(() => {
+    if (!loaded) return;
+    const id = setTimeout(() => {
+      commitData((d) => (d.mixer === mixer ? d : { ...d, mixer }));
+    }, SETTINGS_SAVE_DELAY_MS);
+    return () => clearTimeout(id);
+  }, [loaded, mixer, commitData]);
+
+  useEffect(() => {
+    AudioEngine.setMix(mixer);
+  }, [mixer]);
+
+  useEffect(() => {
+    Haptics.setEnabled(hapticsEnabled);
+  }, [hapticsEnabled]);
+
+  useEffect(() => {
+    applySoundPack(soundPack);
+  }, [soundPack]);
+
+  // The ambient layer follows the session, fading at each phase boundary
+  useEffect(() => {
+    const level = AMBIENT_LEVELS[phase];
+    if (ambientSound === "off" || level === undefined) {
+      AudioEngine.stopAmbient();
+      return;
+    }
+    AudioEngine.startAmbient(ambientSound);
+    AudioEngine.fadeAmbient(paused ? 0 : level);
+  }, [phase, paused, ambientSound]);
+
+  useEffect(() => {
+    VoiceGuide.configure({
+      enabled: voiceEnabled,
+      lang: voiceLang,
+      level: voiceLevel,
+      source: voiceSource,
+    });
+  }, [voiceEnabled, voiceLang, voiceLevel, voiceSource]);
+
+  useEffect(() => {
+    if (voiceEnabled && voiceSource === "clips" && VoiceGuide.clipKeys().length === 0) {
+      loadVoiceClips().catch(() => {});
+    }
+  }, [voiceEnabled, voiceSource]);
+
+  useEffect(() => {
+    if (!isActiveSession) {
+      setShowVolumeControl(false);
+    }
+  }, [isActiveSession]);
+
+  const requestWakeLock = useCallback(async () => {
+    try {
+      if (typeof navigator === "undefined" || !("wakeLock" in navigator)) return;
+      if (wakeLockRef.current) return;
+      wakeLockRef.current = await navigator.wakeLock.request("screen");
+      wakeLockRef.current.addEventListener("release", () => {
+        wakeLockRef.current = null;
+      });
+    } catch (e) {}
+  }, []);
+
+  const releaseWakeLock = useCallback(async () => {
+    try {
+      if (!wakeLockRef.current) return;
+      await wakeLockRef.current.release();
+      wakeLockRef.current = null;
+    } catch (e) {
+      wakeLockRef.current = null;
+    }
+  }, []);
+
+  const holdsWakeLock = isActiveSession && !paused;
+
+  useEffect(() => {
+    if (holdsWakeLock) requestWakeLock();
+    else releaseWakeLock();
+  }, [holdsWakeLock, requestWakeLock, releaseWakeLock]);
+
+  useEffect(() => {
+    const onVisibilityChange = () => {
+      if (document.visibilityState === "visible" && holdsWakeLock) {
+        requestWakeLock();
+      }
+    };
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    return () => {
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+    };
+  }, [holdsWakeLock, requestWakeLock]);
+
+  useEffect(() => {
+    return () => {
+      releaseWakeLock();
+    };
+  }, [releaseWakeLock]);
+
+  const clearTimers = useCallback(() => {
+    SessionScheduler.clear();
+    AudioEngine.cancelScheduled();
+    Haptics.cancel();
+    pausedRef.current = false;
+    setPaused(false);
+    setResumeCountdown(0);
+  }, []);
+
+  // React state mirrors the scheduler clock between cues
+  useEffect(() => {
+    SessionScheduler.onFrame((t) => {
+      // Clocks stay frozen until the resume countdown has finished
+      if (pausedRef.current) return;
+      if (phaseRef.current === PHASE.RETENTION) {
+        setRetentionTime(Math.floor((Date.now() - retentionStartRef.current) / 1000));
+      } else if (phaseRef.current === PHASE.RECOVERY) {
+        setRecoveryCountdown(Math.max(0, Math.ceil(recoveryEndRef.current - t)));
+      } else if (phaseRef.current === PHASE.ROUND_DONE && autoAdvanceAtRef.current) {
+        setAutoAdvanceLeft(Math.max(0, Math.ceil(autoAdvanceAtRef.current - t)));
+      }
+    });
+    return () => {
+      SessionScheduler.onFrame(null);
+      clearTimers();
+    };
+  }, [clearTimers]);
+
+  // Back from the background: catch the plan up with the real time. Anything
+  // kept in scheduler time moves with it; the hold is timed by the wall clock.
+  useEffect(() => {
+    const onVisibilityChange = () => {
+      if (document.visibilityState === "hidden") {
+        SessionScheduler.hide();
+        return;
+      }
+      if (phaseRef.current !== PHASE.SETUP) AudioEngine.unlock();
+      const lost = SessionScheduler.show();
+      recoveryEndRef.current -= lost;
+      if (autoAdvanceAtRef.current) autoAdvanceAtRef.current -= lost;
+    };
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    return () => document.removeEventListener("visibilitychange", onVisibilityChange);
+  }, []);
+
+  // ── Retention phase ──
+  const startRetentionPhase = useCallback((startAt, round) => {
+    retentionStartRef.current = SessionScheduler.wallTime(startAt);
+    setBreathingAnim(false);
+    setRetentionTime(0);
+    // Set ahead of the render: a catch-up burst can reach the cap in this same tick
+    phaseRef.current = PHASE.RETENTION;
+    setPhase(PHASE.RETENTION);
+
+    if (
+      round.retentionTarget > 0 &&
+      !(round.retentionCap > 0 && round.retentionCap <= round.retentionTarget)
+    ) {
+      SessionScheduler.plan([
+        {
+          at: startAt + round.retentionTarget,
+          cue: (when) => AudioEngine.targetReached(when),
+        },
+      ]);
+    }
+    // Safety ceiling: chime and move on as if the user had tapped
+    if (round.retentionCap > 0) {
+      SessionScheduler.plan([
+        {
+          at: startAt + round.retentionCap,
+          cue: (when) => AudioEngine.capReached(when),
+          run: (at) => endRetentionRef.current(round.retentionCap, at),
+        },
+      ]);
+    }
+
+    if (!(round.retentionCap > 0 && round.retentionCap <= 30)) {
+      SessionScheduler.plan([
+        { at: startAt + 30, cue: (when) => VoiceGuide.say("halfMinute", undefined, when) },
+      ]);
+    }
+
+    // Each tick plans the next from its own time, so pauses carry over
+    const planMinuteTick = (from, minute) => {
+      SessionScheduler.plan([
+        {
+          at: from + 60,
+          cue: (when) => {
+            AudioEngine.tick(when);
+            Haptics.play("minute", when);
+            VoiceGuide.say("minute", minute, when);
+          },
+          run: (at) => planMinuteTick(at, minute + 1),
+        },
+      ]);
+    };
+    planMinuteTick(startAt, 1);
+  }, []);
+
+  // ── Recovery phase ──
+  const startRecoveryPhase = useCallback((round, startAt = SessionScheduler.now()) => {
+    const endAt = startAt + round.recoverySeconds;
+    recoveryEndRef.current = endAt;
+    setRecoveryCountdown(round.recoverySeconds);
+    phaseRef.current = PHASE.RECOVERY;
+    setPhase(PHASE.RECOVERY);
+
+    SessionScheduler.plan([
+      {
+        at: startAt,
+        cue: (when) => {
+          AudioEngine.recoveryIn(when);
+          VoiceGuide.say("breatheIn", undefined, when);
+        },
+      },
+      ...[3, 2, 1].map((left) => ({
+        at: endAt - left,
+        cue: (when) => {
+          AudioEngine.countdownBeep(when);
+          Haptics.play("countdown", when);
+          VoiceGuide.say("count", left, when);
+        },
+      })),
+      {
+        at: endAt,
+        cue: (when) => {
+          AudioEngine.roundComplete(when);
+          Haptics.play("roundComplete", when);
+          VoiceGuide.say("letGo", undefined, when);
+        },
+      },
+      { at: endAt + ROUND_DONE_DELAY_MS / 1000, run: () => setPhase(PHASE.ROUND_DONE) },
+      {
+        at: endAt + 1.2,
+        cue: (when) => VoiceGuide.say("roundComplete", undefined, when),
+      },
+    ]);
+  }, []);
+
+  // ── Breathing phase logic ──
+  const startBreathingPhase = useCallback(
+    (round, number) => {
+      const { breaths, tempo } = round;
+      clearTimers();
+      setPhase(PHASE.BREATHING);
+      setBreathCount(0);
+      setIsInhale(true);
+      setBreathingAnim(false);
+
+      const startAt = SessionScheduler.now();
+      const events = [{ at: startAt, cue: (when) => VoiceGuide.say("round", number, when) }];
+      const leadMs = VoiceGuide.wants("round") ? VOICE_LEAD_MS : FIRST_BREATH_DELAY_MS;
+      let t = startAt + leadMs / 1000;
+      for (let i = 0; i < breaths; i++) {
+        const { inhaleMs, exhaleMs } = breathTiming(tempo, paceCurve, i, breaths);
+        const count = i + 1;
+        events.push({
+          at: t,
+          cue: (when) => {
+            AudioEngine.inhale(inhaleMs, when);
+            Haptics.play("inhale", when);
+            if (count === breaths - 2) VoiceGuide.say("finalBreaths", undefined, when);
+            else if (count % 10 === 0 && count < breaths - 2)
+              VoiceGuide.say("breaths", count, when);
+          },
+          run: () => {
+            setIsInhale(true);
+            setBreathingAnim(true);
+            setCueMs(inhaleMs);
+          },
+        });
+        t += inhaleMs / 1000;
+
+        if (count < breaths) {
+          events.push({
+            at: t,
+            cue: (when) => {
+              AudioEngine.exhale(exhaleMs, when);
+              Haptics.play("exhale", when);
+            },
+            run: () => {
+              setBreathCount(count);
+              setIsInhale(false);
+              setBreathingAnim(false);
+              setCueMs(exhaleMs);
+            },
+          });
+          t += exhaleMs / 1000;
+          continue;
+        }
+
+        // Last breath: one more full inhale, then straight into the hold
+        events.push({
+          at: t,
+          cue: (when) => {
+            AudioEngine.inhale(inhaleMs, when);
+            Haptics.play("inhale", when);
+            VoiceGuide.say("lastBreath", undefined, when);
+          },
+          run: () => setBreathCount(count),
+        });
+        t += FINAL_INHALE_MS / 1000;
+        events.push({
+          at: t,
+          cue: (when) => {
+            AudioEngine.holdStart(when);
+            Haptics.play("hold", when);
+          },
+          run: (at) => startRetentionPhase(at, round),
+        });
+      }
+      SessionScheduler.plan(events);
+    },
+    [paceCurve, clearTimers, startRetentionPhase],
+  );
+
+  // ── Presets ──
+  const presets = appData.presets || [];
+  const updatePresets = (update) => {
+    commitData((d) => ({ ...d, presets: update(d.presets || []) }));
+  };
+
+  const savePreset = (name) => {
+    updatePresets((list) => [...list, { id: newPresetId(), name, settings, mix: mixer }]);
+  };
+
+  const renamePreset = (id, name) => {
+    updatePresets((list) => list.map((p) => (p.id === id ? { ...p, name } : p)));
+  };
+
+  const movePreset = (id, offset) => {
+    updatePresets((list) => {
+      const from = list.findIndex((p) => p.id === id);
+      const to = from + offset;
+      if (from < 0 || to < 0 || to >= list.length) return list;
+      const next = [...list];
+      next.splice(to, 0, next.splice(from, 1)[0]);
+      return next;
+    });
+  };
+
+  const deletePreset = (id) => {
+    updatePresets((list) => list.filter((p) => p.id !== id));
+  };
+
+  // Unlock audio inside the tap, then start once the preset's settings have rendered
+  const startPreset = (preset) => {
+    AudioEngine.unlock();
+    VoiceGuide.prime();
+    setSettings(withDefaults(preset.settings));
+    if (preset.mix) setMixer((m) => ({ ...m, ...preset.mix }));
+    commitData((d) => ({ ...d, lastPresetId: preset.id }));
+    setPendingStart(true);
+  };
+
+  // ── Start session ──
+  const startSession = () => {
+    const plan = buildRoundPlan(settings);
+    setReadyPreset(null);
+    VoiceGuide.prime();
+    AudioEngine.unlock().then(() => {
+      setSessionPlan(plan);
+      setCurrentRound(1);
+      setRoundRetentions([]);
+      setSessionStart(Date.now());
+      startBreathingPhase(plan[0], 1);
+    });
+  };
+
+  // ── Pause / resume ──
+  const pauseSession = () => {
+    if (!isActiveSession || pausedRef.current) return;
+    pausedRef.current = true;
+    pausedAtRef.current = Date.now();
+    SessionScheduler.pause();
+    AudioEngine.stopAll();
+    VoiceGuide.stop();
+    Haptics.cancel();
+    if (eyesClosed) AudioEngine.pauseChime();
+    setPaused(true);
+  };
+
+  const resumeSession = () => {
+    if (!paused || resumeCountdown > 0) return;
+    AudioEngine.unlock();
+    const shift = SessionScheduler.resume(RESUME_COUNTDOWN_S);
+    retentionStartRef.current += Date.now() - pausedAtRef.current + RESUME_COUNTDOWN_S * 1000;
+    recoveryEndRef.current += shift;
+
+    const startAt = SessionScheduler.now();
+    setResumeCountdown(RESUME_COUNTDOWN_S);
+    SessionScheduler.plan([
+      ...Array.from({ length: RESUME_COUNTDOWN_S }, (_, i) => ({
+        at: startAt + i,
+        cue: (when) => AudioEngine.countdownBeep(when),
+        run: () => setResumeCountdown(RESUME_COUNTDOWN_S - i),
+      })),
+      {
+        at: startAt + RESUME_COUNTDOWN_S,
+        run: () => {
+          pausedRef.current = false;
+          setResumeCountdown(0);
+          setPaused(false);
+        },
+      },
+    ]);
+  };
+
+  // `pendingStart` is true for a new session, or the interrupted one to resume
+  useEffect(() => {
+    if (!pendingStart) return;
+    setPendingStart(false);
+    if (pendingStart === true) startSession();
+    else continueInterrupted(pendingStart);
+  });
+
+  // ── End retention (user taps) ──
+  // `at` is the cap's scheduled time, which may be in the past after a background spell
+  const endRetention = (cappedAt, at) => {
+    if (phaseRef.current !== PHASE.RETENTION || pausedRef.current) return;
+    AudioEngine.unlock();
+    clearTimers();
+    // Measured from the wall clock so a late or skipped frame can't shorten it
+    const held =
+      typeof cappedAt === "number"
+        ? cappedAt
+        : Math.floor((Date.now() - retentionStartRef.current) / 1000);
+    setRetentionTime(held);
+    setRoundRetentions((prev) => [...prev, held]);
+    startRecoveryPhase(activeRound, at);
+  };
+  endRetentionRef.current = endRetention;
+
+  // ── Breath detection ──
+  // The mic stays open for the whole session; each phase gets a fresh detector
+  // so a breath at the end of one phase can't count in the next.
+  const micListening = breathDetection && (isActiveSession || phase === PHASE.ROUND_DONE);
+
+  useEffect(() => {
+    if (!breathDetection || !activeRound) return;
+    const { inhaleMs, exhaleMs } = activeRound.tempo;
+    detectorRef.current = createBreathDetector({
+      sensitivity: micSensitivity,
+      noiseFloor: micNoiseFloor || BREATH_DETECTOR_DEFAULTS.noiseFloor,
+      // One count per breath cycle, even when the exhale is audible too
+      refractoryS: (0.6 * (inhaleMs + exhaleMs)) / 1000,
+    });
+    if (phase === PHASE.BREATHING) setHeardBreaths(0);
+  }, [phase, activeRound, breathDetection, micSensitivity, micNoiseFloor]);
+
+  micFrameRef.current = (frame, t) => {
+    if (pausedRef.current || !detectorRef.current) return;
+    if (!detectorRef.current.push(frame, t)) return;
+    if (phaseRef.current === PHASE.BREATHING) {
+      setHeardBreaths((n) => n + 1);
+    } else if (
+      phaseRef.current === PHASE.RETENTION &&
+      Date.now() - retentionStartRef.current >= MIC_MIN_HOLD_S * 1000
+    ) {
+      endRetentionRef.current();
+    }
+  };
+
+  useEffect(() => {
+    if (!micListening) return;
+    setMicError(null);
+    BreathMic.listen((frame, t) => micFrameRef.current(frame, t)).catch((err) =>
+      setMicError(`Breath detection is off: ${err.message || "the microphone is unavailable"}.`),
+    );
+    return () => BreathMic.stop();
+  }, [micListening]);
+
+  // ── Screen reader announcements ──
+  // One polite live region carries phase changes, breath counts and hold
+  // milestones; the first breath is left to the phase announcement. Each
+  // effect runs on its own trigger and reads the rest through a ref, so a
+  // new plan or retention list never repeats an announcement.
+  announceRef.current = { phase, activeRound, totalRounds, roundRetentions, isActiveSession };
+
+  useEffect(() => {
+    const { activeRound, totalRounds, roundRetentions } = announceRef.current;
+    if (!activeRound) return;
+    const round = `Round ${currentRound} of ${totalRounds}`;
+    const text = {
+      [PHASE.BREATHING]: `${round}. Breathe in and out, ${activeRound.breaths} breaths.`,
+      [PHASE.RETENTION]: "Breathe out and hold.",
+      [PHASE.RECOVERY]: `Breathe in and hold for ${spokenDuration(activeRound.recoverySeconds)}.`,
+      [PHASE.ROUND_DONE]: `Round ${currentRound} complete. You held for ${spokenDuration(
+        roundRetentions[roundRetentions.length - 1] || 0,
+      )}.`,
+      [PHASE.COMPLETE]: "Session complete.",
+    }[phase];
+    if (text) setAnnouncement(text);
+  }, [phase, currentRound]);
+
+  useEffect(() => {
+    const { phase, activeRound } = announceRef.current;
+    if (phase !== PHASE.BREATHING || breathCount <= 1 || !activeRound) return;
+    setAnnouncement(breathCount === activeRound.breaths ? "Last breath" : String(breathCount));
+  }, [breathCount]);
+
+  useEffect(() => {
+    const { phase, activeRound } = announceRef.current;
+    if (phase !== PHASE.RETENTION || retentionTime === 0 || !activeRound) return;
+    if (retentionTime === activeRound.retentionTarget) {
+      setAnnouncement(`Target reached, ${spokenDuration(retentionTime)}`);
+    } else if (retentionTime % 30 === 0) {
+      setAnnouncement(spokenDuration(retentionTime));
+    }
+  }, [retentionTime]);
+
+  useEffect(() => {
+    if (!announceRef.current.isActiveSession) return;
+    if (paused) setAnnouncement("Paused");
+  }, [paused]);
+
+  // ── Keyboard shortcuts ──
+  // Space ends the hold, P pauses and resumes, Esc asks to quit (or closes
+  // the question). Read through a ref so the listener is added only once.
+  shortcutRef.current = (e) => {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (isTypingTarget(e.target)) return;
+    if (showQuitConfirm) {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        setShowQuitConfirm(false);
+      }
+      return;
+    }
+    if (!isActiveSession) return;
+    if (e.key === "Escape") {
+      e.preventDefault();
+      setShowQuitConfirm(true);
+    } else if (e.key === "p" || e.key === "P") {
+      e.preventDefault();
+      if (paused) resumeSession();
+      else pauseSession();
+    } else if (e.key === " " && phase === PHASE.RETENTION && !paused) {
+      // Also stops a focused button from being clicked by the same key
+      e.preventDefault();
+      endRetention();
+    }
+  };
+
+  useEffect(() => {
+    const onKeyDown = (e) => shortcutRef.current(e);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // The quit question takes focus on its safe answer and gives it back on close
+  useEffect(() => {
+    if (!showQuitConfirm) return;
+    const returnTo = document.activeElement;
+    if (keepGoingRef.current) keepGoingRef.current.focus();
+    return () => {
+      if (returnTo && returnTo.isConnected && typeof returnTo.focus === "function") {
+        returnTo.focus();
+      }
+    };
+  }, [showQuitConfirm]);
+
+  // Eyes-closed sessions count down and leave the round summary by themselves
+  useEffect(() => {
+    if (phase !== PHASE.ROUND_DONE || !eyesClosed) return;
+    const advanceAt = SessionScheduler.now() + autoAdvanceSeconds;
+    autoAdvanceAtRef.current = advanceAt;
+    setAutoAdvanceLeft(autoAdvanceSeconds);
+    SessionScheduler.plan([
+      ...[3, 2, 1].map((left) => ({
+        at: advanceAt - left,
+        cue: (when) => {
+          AudioEngine.countdownBeep(when);
+          Haptics.play("countdown", when);
+        },
+      })),
+      { at: advanceAt, run: () => nextRoundRef.current() },
+    ]);
+    return () => {
+      autoAdvanceAtRef.current = 0;
+    };
+  }, [phase, eyesClosed, autoAdvanceSeconds]);
+
+  // A round counts as done once its hold is recorded; a session stopped
+  // before its last hold is saved as partial and describes only those rounds.
+  // It is dated by when it ended, which for a recovered session is its last save.
+  const saveSessionRecord = (plan, retentions, durationMs, endedAt = Date.now()) => {
+    const done = plan.slice(0, retentions.length);
+    const sessionRecord = {
+      date: localDateStr(endedAt),
+      tz: localTimeZone(),
+      rounds: done.length,
+      breathsPerRound: Math.round(mean(done.map((r) => r.breaths))),
+      retentions,
+      duration: Math.round(durationMs / 1000),
+      timestamp: endedAt,
+      protocol: planToProtocol(done),
+      ...(retentions.length < plan.length ? { partial: true } : null),
+    };
+    commitData((d) => ({ ...d, sessions: [...d.sessions, sessionRecord] }));
+    return sessionRecord;
+  };
+
+  // ── Crash / reload recovery ──
+  useEffect(() => {
+    if (!isActiveSession && phase !== PHASE.ROUND_DONE) return;
+    saveLiveSession({
+      plan: sessionPlan,
+      settings,
+      phase,
+      currentRound,
+      retentions: roundRetentions,
+      sessionStart,
+      savedAt: Date.now(),
+    });
+  }, [isActiveSession, sessionPlan, settings, phase, currentRound, roundRetentions, sessionStart]);
+
+  // Picks up at the start of the first round without a recorded hold. The
+  // time away is left out of the session's duration. Like a preset, it waits
+  // for the saved settings to render so the rounds run with them.
+  const resumeInterrupted = () => {
+    AudioEngine.unlock();
+    VoiceGuide.prime();
+    if (interrupted.settings) setSettings(withDefaults(interrupted.settings));
+    setInterrupted(null);
+    setPendingStart(interrupted);
+  };
+
+  const continueInterrupted = ({ plan, retentions, sessionStart: start, savedAt }) => {
+    const round = retentions.length + 1;
+    AudioEngine.unlock().then(() => {
+      setSessionPlan(plan);
+      setCurrentRound(round);
+      setRoundRetentions(retentions);
+      setSessionStart(start + (Date.now() - savedAt));
+      startBreathingPhase(plan[round - 1], round);
+    });
+  };
+
+  const saveInterrupted = () => {
+    const { plan, retentions, sessionStart: start, savedAt } = interrupted;
+    saveSessionRecord(plan, retentions, savedAt - start, savedAt);
+    clearLiveSession();
+    setInterrupted(null);
+  };
+
+  const discardInterrupted = () => {
+    clearLiveSession();
+    setInterrupted(null);
+  };
+
+  // ── Next round or complete ──
+  const nextRound = () => {
+    AudioEngine.unlock();
+    // Drops a pending auto-advance so a tap can't be followed by a second one
+    clearTimers();
+    if (currentRound >= totalRounds) {
+      setJournalId(
+        saveSessionRecord(sessionPlan, roundRetentions, Date.now() - sessionStart).timestamp,
+      );
+      clearLiveSession();
+      AudioEngine.sessionComplete();
+      VoiceGuide.say("sessionComplete");
+      setPhase(PHASE.COMPLETE);
+    } else {
+      setCurrentRound((r) => r + 1);
+      startBreathingPhase(sessionPlan[currentRound], currentRound + 1);
+    }
+  };
+  nextRoundRef.current = nextRound;
+
+  // ── Reset ──
+  const resetToSetup = () => {
+    clearTimers();
+    clearLiveSession();
+    VoiceGuide.stop();
+    setShowQuitConfirm(false);
+    setPhase(PHASE.SETUP);
+    setCurrentRound(0);
+    setBreathCount(0);
+    setRetentionTime(0);
+    setRoundRetentions([]);
+  };
+
+  const saveAndQuit = () => {
+    saveSessionRecord(sessionPlan, roundRetentions, Date.now() - sessionStart);
+    resetToSetup();
+  };
+
+  // ── History edits ──
+  const updateSessions = (update) => {
+    commitData((d) => ({ ...d, sessions: update(d.sessions) }));
+  };
+
+  const updateSession = (timestamp, patch) => {
+    updateSessions((sessions) =>
+      sessions.map((s) => (s.timestamp === timestamp ? { ...s, ...patch } : s)),
+    );
+  };
+
+  const deleteSession = (timestamp) => {
+    updateSessions((sessions) => sessions.filter((s) => s.timestamp !== timestamp));
+  };
+
+  const importSessions = (incoming) => {
+    updateSessions((sessions) =>
+      [...sessions, ...incoming].sort((a, b) => a.timestamp - b.timestamp),
+    );
+  };
+
+  // ── Derived data ──
+  const statSessions = appData.sessions.filter(countsForStats(partialSessions));
+  const streaks = calcStreaks(
+    appData.sessions.filter(countsForStreak(partialSessions)),
+    streakFreezes,
+  );
+  const streak = streaks.current;
+  const weekSessions = sessionsThisWeek(statSessions);
+  const todaySessions = statSessions.filter((s) => s.date === todayStr());
+  const totalSessions = statSessions.length;
+  const journalSession = appData.sessions.find((s) => s.timestamp === journalId);
+
+  if (!loaded) return null;
+
+  return (
+    <div style={styles.root}>
+      <div style={styles.noiseOverlay} />
+
+      {micError && (
+        <div style={styles.storageWarning} role="alert">
+          <span>{micError}</span>
+          <button style={styles.storageWarningDismiss} onClick={() => setMicError(null)}>
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {storageWarning && (
+        <div style={styles.storageWarning} role="alert">
+          <span>{storageWarning}</span>
+          <button style={styles.storageWarningDismiss} onClick={() => setStorageWarning(null)}>
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {/* ─── SETUP SCREEN ─── */}
+      {phase === PHASE.SETUP && view === VIEW.HOME && (
+        <div style={styles.container}>
+          <div style={styles.header}>
+            <h1 style={styles.title}>Breathe</h1>
+            <p style={styles.subtitle}>Wim Hof Method</p>
+          </div>
+
+          {updateWorker && (
+            <div style={styles.updateBanner}>
+              <span>A new version is available.</span>
+              <button
+                style={styles.smallBtn}
+                onClick={() => applyServiceWorkerUpdate(updateWorker)}
+              >
+                Update
+              </button>
+            </div>
+          )}
+
+          <div style={styles.statsBanner}>
+            <div style={styles.statItem}>
+              <span style={styles.statNumber}>{streak}</span>
+              <span style={styles.statLabel}>day streak</span>
+              {streaks.longest > streak && (
+                <span style={styles.statSub}>best {streaks.longest}</span>
+              )}
+            </div>
+            <div style={styles.statDivider} />
+            <div style={styles.statItem}>
+              <span style={styles.statNumber}>{todaySessions.length}</span>
+              <span style={styles.statLabel}>today</span>
+            </div>
+            <div style={styles.statDivider} />
+            <div style={styles.statItem}>
+              <span style={styles.statNumber}>{totalSessions}</span>
+              <span style={styles.statLabel}>all time</span>
+            </div>
+            {weeklyGoal > 0 && (
+              <div style={styles.statGoal}>
+                <span
+                  style={{
+                    ...styles.statLabel,
+                    ...(weekSessions >= weeklyGoal ? styles.targetMet : null),
+                  }}
+                >
+                  {weekSessions}/{weeklyGoal} this week
+                </span>
+                <div
+                  style={styles.goalTrack}
+                  role="progressbar"
+                  aria-label="Weekly goal"
+                  aria-valuenow={Math.min(weekSessions, weeklyGoal)}
+                  aria-valuemin={0}
+                  aria-valuemax={weeklyGoal}
+                >
+                  <div
+                    style={{
+                      ...styles.goalFill,
+                      width: `${Math.min(100, (weekSessions / weeklyGoal) * 100)}%`,
+                    }}
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div style={styles.navRow}>
+            {appData.sessions.length > 0 && (
+              <>
+                <button style={styles.navBtn} onClick={() => setView(VIEW.HISTORY)}>
+                  History
+                </button>
+                <button style={styles.navBtn} onClick={() => setView(VIEW.ANALYTICS)}>
+                  Insights
+                </button>
+              </>
+            )}
+            <button style={styles.navBtn} onClick={() => setView(VIEW.SOUND)}>
+              Sound
+            </button>
+            <button style={styles.navBtn} onClick={() => setView(VIEW.REMINDERS)}>
+              Reminders
+            </button>
+            <button style={styles.navBtn} onClick={() => setView(VIEW.BACKUP)}>
+              Backup
+            </button>
+          </div>
+
+          {readyPreset && (
+            <div style={styles.updateBanner}>
+              <span>{readyPreset.name} is ready.</span>
+              <button style={styles.smallBtn} onClick={() => startPreset(readyPreset)}>
+                Start
+              </button>
+            </div>
+          )}
+
+          <SessionPresets
+            presets={presets}
+            currentSummary={presetSummary(settings)}
+            onStart={startPreset}
+            onSave={savePreset}
+            onRename={renamePreset}
+            onMove={movePreset}
+            onDelete={deletePreset}
+          />
+
+          <div style={styles.configSection}>
+            <div style={styles.configRow}>
+              <span style={styles.configLabel}>Per-round protocol</span>
+              <button
+                style={{ ...styles.toggle, ...(protocolEnabled ? styles.toggleOn : null) }}
+                onClick={toggleProtocol}
+                role="switch"
+                aria-checked={protocolEnabled}
+              >
+                <span
+                  style={{
+                    ...styles.toggleKnob,
+                    ...(protocolEnabled ? styles.toggleKnobOn : null),
+                  }}
+                />
+              </button>
+            </div>
+            {protocolEnabled && <ProtocolEditor protocol={protocol} onChange={setProtocol} />}
+            {!protocolEnabled && (
+              <>
+                <div style={styles.configRow}>
+                  <span style={styles.configLabel}>Rounds</span>
+                  <div style={styles.stepper}>
+                    <button
+                      style={styles.stepBtn}
+                      aria-label="Decrease rounds"
+                      onClick={() => setRounds((r) => Math.max(ROUND_COUNT_LIMITS.min, r - 1))}
+                    >
+                      −
+                    </button>
+                    <span
+                      style={styles.stepValue}
+                      {...stepperValueProps("Rounds", rounds, ROUND_COUNT_LIMITS, null, setRounds)}
+                    >
+                      {rounds}
+                    </span>
+                    <button
+                      style={styles.stepBtn}
+                      aria-label="Increase rounds"
+                      onClick={() => setRounds((r) => Math.min(ROUND_COUNT_LIMITS.max, r + 1))}
+                    >
+                      +
+                    </button>
+                  </div>
+                </div>
+                <div style={styles.configRow}>
+                  <span style={styles.configLabel}>Breaths per round</span>
+                  <div style={styles.stepper}>
+                    <button
+                      style={styles.stepBtn}
+                      aria-label="Decrease breaths per round"
+                      onClick={() =>
+                        setBreathsPerRound((b) => Math.max(BREATH_COUNT_LIMITS.min, b - 5))
+                      }
+                    >
+                      −
+                    </button>
+                    <span
+                      style={styles.stepValue}
+                      {...stepperValueProps(
+                        "Breaths per round",
+                        breathsPerRound,
+                        BREATH_COUNT_LIMITS,
+                        null,
+                        setBreathsPerRound,
+                      )}
+                    >
+                      {breathsPerRound}
+                    </span>
+                    <button
+                      style={styles.stepBtn}
+                      aria-label="Increase breaths per round"
+                      onClick={() =>
+                        setBreathsPerRound((b) => Math.min(BREATH_COUNT_LIMITS.max, b + 5))
+                      }
+                    >
+                      +
+                    </button>
+                  </div>
+                </div>
+                <ConfigStepper
+                  label="Recovery hold"
+                  value={settings.recoverySeconds}
+                  limits={PROTOCOL_LIMITS.recoverySeconds}
+                  format={fmtTime}
+                  onChange={setRecoverySeconds}
+                />
+                <ConfigStepper
+                  label="Retention target"
+                  value={settings.retentionTarget}
+                  limits={PROTOCOL_LIMITS.retentionTarget}
+                  format={fmtOptionalTime}
+                  onChange={setRetentionTarget}
+                />
+              </>
+            )}
+            <ConfigStepper
+              label="Retention cap"
+              hint="Ends the hold automatically"
+              value={settings.retentionCap}
+              limits={PROTOCOL_LIMITS.retentionCap}
+              format={fmtOptionalTime}
+              onChange={setRetentionCap}
+            />
+            <div style={styles.configBlock}>
+              <div style={styles.configBlockHead}>
+                <span style={styles.configLabel}>Tempo</span>
+                <span style={styles.configHint}>
+                  {fmtCue(tempo.inhaleMs)} in · {fmtCue(tempo.exhaleMs)} out
+                </span>
+              </div>
+              <div style={styles.segmented}>
+                {[...Object.entries(TEMPO_PRESETS), [CUSTOM_TEMPO, { label: "Custom" }]].map(
+                  ([id, { label }]) => (
+                    <button
+                      key={id}
+                      style={{
+                        ...styles.segmentBtn,
+                        ...(tempoPreset === id ? styles.segmentBtnActive : null),
+                      }}
+                      onClick={() => setTempoPreset(id)}
+                    >
+                      {label}
+                    </button>
+                  ),
+                )}
+              </div>
+              {tempoPreset === CUSTOM_TEMPO &&
+                [
+                  ["inhaleMs", "Inhale"],
+                  ["exhaleMs", "Exhale"],
+                ].map(([key, label]) => (
+                  <div key={key} style={styles.subConfigRow}>
+                    <span style={styles.configHint}>{label}</span>
+                    <div style={styles.stepper}>
+                      <button
+                        style={styles.stepBtn}
+                        aria-label={`Decrease ${label.toLowerCase()}`}
+                        onClick={() =>
+                          setCustomTempo((t) => ({
+                            ...t,
+                            [key]: Math.max(CUSTOM_CUE_LIMITS.min, t[key] - CUSTOM_CUE_LIMITS.step),
+                          }))
+                        }
+                      >
+                        −
+                      </button>
+                      <span
+                        style={styles.stepValue}
+                        {...stepperValueProps(
+                          label,
+                          customTempo[key],
+                          CUSTOM_CUE_LIMITS,
+                          fmtCue,
+                          (v) => setCustomTempo((t) => ({ ...t, [key]: v })),
+                        )}
+                      >
+                        {fmtCue(customTempo[key])}
+                      </span>
+                      <button
+                        style={styles.stepBtn}
+                        aria-label={`Increase ${label.toLowerCase()}`}
+                        onClick={() =>
+                          setCustomTempo((t) => ({
+                            ...t,
+                            [key]: Math.min(CUSTOM_CUE_LIMITS.max, t[key] + CUSTOM_CUE_LIMITS.step),
+                          }))
+                        }
+                      >
+                        +
+                      </button>
+                    </div>
+                  </div>
+                ))}
+            </div>
+            <div style={styles.configBlock}>
+              <div style={styles.configBlockHead}>
+                <span style={styles.configLabel}>Pace curve</span>
+              </div>
+              <div style={styles.segmented}>
+                {Object.entries(PACE_CURVES).map(([id, { label }]) => (
+                  <button
+                    key={id}
+                    style={{
+                      ...styles.segmentBtn,
+                      ...(paceCurve === id ? styles.segmentBtnActive : null),
+                    }}
+                    onClick={() => setPaceCurve(id)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div style={styles.configRow}>
+              <div style={styles.configLabelStack}>
+                <span style={styles.configLabel}>Eyes-closed mode</span>
+                <span style={styles.configHint}>Dark screen; tap anywhere to end the hold</span>
+              </div>
+              <button
+                style={{ ...styles.toggle, ...(eyesClosed ? styles.toggleOn : null) }}
+                onClick={() => setSettings((prev) => ({ ...prev, eyesClosed: !prev.eyesClosed }))}
+                role="switch"
+                aria-checked={eyesClosed}
+              >
+                <span
+                  style={{ ...styles.toggleKnob, ...(eyesClosed ? styles.toggleKnobOn : null) }}
+                />
+              </button>
+            </div>
+            {eyesClosed && (
+              <ConfigStepper
+                label="Next round after"
+                hint="The round summary moves on by itself"
+                value={autoAdvanceSeconds}
+                limits={AUTO_ADVANCE_LIMITS}
+                format={fmtTime}
+                onChange={setAutoAdvanceSeconds}
+              />
+            )}
+            <BreathDetectionConfig
+              settings={settings}
+              onChange={(patch) => setSettings((prev) => ({ ...prev, ...patch }))}
+            />
+          </div>
+
+          <button style={styles.startBtn} onClick={startSession}>
+            Begin Session
+          </button>
+
+          {todaySessions.length > 0 && (
+            <div style={styles.todaySection}>
+              <h3 style={styles.todayTitle}>Today's Sessions</h3>
+              {todaySessions.map((s, i) => (
+                <div key={i} style={styles.sessionCard}>
+                  <div style={styles.sessionCardRow}>
+                    <span style={styles.sessionCardLabel}>{fmtShape(s)} breaths</span>
+                    <span style={styles.sessionCardTime}>{fmtTime(s.duration)}</span>
+                  </div>
+                  {s.retentions && (
+                    <div style={styles.retentionRow}>
+                      {s.retentions.map((r, j) => (
+                        <span key={j} style={styles.retentionPill}>
+                          R{j + 1}: {fmtTime(r)}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* ─── HISTORY ─── */}
+      {phase === PHASE.SETUP && view === VIEW.HISTORY && (
+        <SessionHistory
+          sessions={appData.sessions}
+          settings={settings}
+          onSettingsChange={(patch) => setSettings((prev) => ({ ...prev, ...patch }))}
+          onUpdate={updateSession}
+          onDelete={deleteSession}
+          onBack={() => setView(VIEW.HOME)}
+        />
+      )}
+
+      {/* ─── ANALYTICS ─── */}
+      {phase === PHASE.SETUP && view === VIEW.ANALYTICS && (
+        <RetentionAnalytics sessions={statSessions} onBack={() => setView(VIEW.HOME)} />
+      )}
+
+      {/* ─── BACKUP ─── */}
+      {phase === PHASE.SETUP && view === VIEW.BACKUP && (
+        <DataBackup
+          sessions={appData.sessions}
+          onImport={importSessions}
+          onBack={() => setView(VIEW.HOME)}
+        />
+      )}
+
+      {/* ─── SOUND ─── */}
+      {phase === PHASE.SETUP && view === VIEW.SOUND && (
+        <SoundSettings
+          settings={settings}
+          mixer={mixer}
+          onChange={(patch) => setSettings((prev) => ({ ...prev, ...patch }))}
+          onMixerChange={setMixer}
+          onBack={() => setView(VIEW.HOME)}
+        />
+      )}
+
+      {/* ─── REMINDERS ─── */}
+      {phase === PHASE.SETUP && view === VIEW.REMINDERS && (
+        <ReminderSettings
+          reminders={reminders}
+          onChange={updateReminders}
+          onBack={() => setView(VIEW.HOME)}
+        />
+      )}
+
+      {/* ─── BREATHING PHASE ─── */}
+      {phase === PHASE.BREATHING && (
+        <div style={styles.activeContainer}>
+          <div style={styles.roundIndicator}>
+            Round {currentRound} of {totalRounds}
+          </div>
+
+          <div style={styles.orbContainer}>
+            <div
+              style={{
+                ...styles.orbOuter,
+                // Reduced motion: the orb keeps its size and only brightens and dims
+                transition: reducedMotion ? "none" : orbTransition(cueMs),
+                transform: reducedMotion
+                  ? "scale(0.8)"
+                  : breathingAnim
+                    ? "scale(1)"
+                    : "scale(0.55)",
+                opacity: breathingAnim ? 1 : 0.6,
+                background: breathingAnim
+                  ? "radial-gradient(circle, rgba(120,200,255,0.35) 0%, rgba(80,160,220,0.15) 50%, transparent 70%)"
+                  : "radial-gradient(circle, rgba(120,200,255,0.15) 0%, rgba(80,160,220,0.05) 50%, transparent 70%)",
+              }}
+            />
+            <div
+              style={{
+                ...styles.orbInner,
+                transition: reducedMotion ? "none" : orbTransition(cueMs),
+                transform: reducedMotion
+                  ? "scale(0.75)"
+                  : breathingAnim
+                    ? "scale(1)"
+                    : "scale(0.5)",
+                opacity: breathingAnim ? 0.9 : 0.4,
+              }}
+            />
+            <div style={styles.orbCenter}>
+              <span style={styles.breathNum}>{breathCount}</span>
+              <span style={styles.breathTotal}>/ {activeRound && activeRound.breaths}</span>
+              {breathDetection && !micError && (
+                <span style={styles.breathTotal}>heard {heardBreaths}</span>
+              )}
+            </div>
+          </div>
+
+          <p style={styles.phaseLabel}>{isInhale ? "Breathe In" : "Breathe Out"}</p>
+          <p style={styles.phaseHint}>Deep belly breaths, in through nose, out through mouth</p>
+        </div>
+      )}
+
+      {/* ─── RETENTION PHASE ─── */}
+      {phase === PHASE.RETENTION && (
+        <div style={styles.activeContainer}>
+          <div style={styles.roundIndicator}>
+            Round {currentRound} of {totalRounds} — Retention
+          </div>
+
+          <div style={styles.orbContainer}>
+            <div style={{ ...styles.orbOuter, transform: "scale(0.4)", opacity: 0.3 }} />
+            <div
+              style={{
+                ...styles.orbInner,
+                transform: "scale(0.45)",
+                opacity: 0.35,
+                background:
+                  "radial-gradient(circle, rgba(255,180,100,0.6) 0%, rgba(255,140,60,0.3) 60%, transparent 80%)",
+              }}
+            />
+            <div style={styles.orbCenter}>
+              <span style={styles.retentionTimer}>{fmtTime(retentionTime)}</span>
+              {activeRound && activeRound.retentionTarget > 0 && (
+                <span
+                  style={{
+                    ...styles.breathTotal,
+                    ...(retentionTime >= activeRound.retentionTarget ? styles.targetMet : null),
+                  }}
+                >
+                  target {fmtTime(activeRound.retentionTarget)}
+                </span>
+              )}
+              {activeRound && activeRound.retentionCap > 0 && (
+                <span style={styles.breathTotal}>ends at {fmtTime(activeRound.retentionCap)}</span>
+              )}
+            </div>
+          </div>
+
+          <p style={styles.phaseLabel}>Hold Your Breath</p>
+          {eyesClosed ? (
+            // The whole screen ends the hold; it sits under the corner controls
+            <button
+              style={styles.fullScreenTap}
+              onClick={() => endRetention()}
+              aria-label="Tap anywhere when you need to breathe"
+            />
+          ) : (
+            <button style={styles.tapBtn} onClick={() => endRetention()} aria-keyshortcuts="Space">
+              Tap when you need to breathe
+            </button>
+          )}
+          {breathDetection && !micError && (
+            <p style={styles.phaseHint}>Listening — your next inhale ends the hold</p>
+          )}
+        </div>
+      )}
+
+      {/* ─── RECOVERY PHASE ─── */}
+      {phase === PHASE.RECOVERY && (
+        <div style={styles.activeContainer}>
+          <div style={styles.roundIndicator}>
+            Round {currentRound} of {totalRounds} — Recovery
+          </div>
+
+          <div style={styles.orbContainer}>
+            <div
+              style={{
+                ...styles.orbOuter,
+                transform: "scale(0.85)",
+                opacity: 0.7,
+                background:
+                  "radial-gradient(circle, rgba(100,220,180,0.3) 0%, rgba(60,180,140,0.12) 50%, transparent 70%)",
+              }}
+            />
+            <div
+              style={{
+                ...styles.orbInner,
+                transform: "scale(0.8)",
+                opacity: 0.7,
+                background:
+                  "radial-gradient(circle, rgba(100,220,180,0.7) 0%, rgba(60,180,140,0.3) 60%, transparent 80%)",
+              }}
+            />
+            <div style={styles.orbCenter}>
+              <span style={styles.recoveryNum}>{recoveryCountdown}</span>
+            </div>
+          </div>
+
+          <p style={styles.phaseLabel}>Breathe In & Hold</p>
+          <p style={styles.phaseHint}>
+            Take a deep recovery breath and hold for {activeRound && activeRound.recoverySeconds}{" "}
+            seconds
+          </p>
+        </div>
+      )}
+
+      {/* ─── ROUND COMPLETE ─── */}
+      {phase === PHASE.ROUND_DONE && (
+        <div style={styles.activeContainer}>
+          <div style={styles.roundIndicator}>Round {currentRound} Complete</div>
+
+          <div style={styles.roundDoneStats}>
+            <div style={styles.rdStatBig}>
+              <span style={styles.rdStatValue}>
+                {fmtTime(roundRetentions[roundRetentions.length - 1] || 0)}
+              </span>
+              <span style={styles.rdStatLabel}>breath hold</span>
+              {activeRound && activeRound.retentionTarget > 0 && (
+                <span
+                  style={{
+                    ...styles.rdStatLabel,
+                    ...((roundRetentions[roundRetentions.length - 1] || 0) >=
+                    activeRound.retentionTarget
+                      ? styles.targetMet
+                      : null),
+                  }}
+                >
+                  target {fmtTime(activeRound.retentionTarget)}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {roundRetentions.length > 1 && (
+            <div style={styles.allRetentions}>
+              {roundRetentions.map((r, i) => (
+                <span key={i} style={styles.retentionPillLight}>
+                  R{i + 1}: {fmtTime(r)}
+                </span>
+              ))}
+            </div>
+          )}
+
+          <button style={styles.startBtn} onClick={nextRound}>
+            {currentRound >= totalRounds ? "Finish Session" : "Next Round"}
+          </button>
+          {eyesClosed && <p style={styles.autoAdvanceNote}>Continuing in {autoAdvanceLeft}s</p>}
+        </div>
+      )}
+
+      {eyesClosed && (isActiveSession || phase === PHASE.ROUND_DONE) && (
+        <div style={styles.eyesClosedDim} />
+      )}
+
+      {/* ─── SESSION COMPLETE ─── */}
+      {phase === PHASE.COMPLETE && (
+        <div style={styles.container}>
+          <div style={{ textAlign: "center", marginBottom: 32 }}>
+            <p style={styles.completeEmoji}>✦</p>
+            <h2 style={styles.completeTitle}>Session Complete</h2>
+          </div>
+
+          <div style={styles.completeSummary}>
+            <div style={styles.csRow}>
+              <span style={styles.csLabel}>Rounds</span>
+              <span style={styles.csValue}>{totalRounds}</span>
+            </div>
+            <div style={styles.csRow}>
+              <span style={styles.csLabel}>Breaths per round</span>
+              <span style={styles.csValue}>{sessionPlan.map((r) => r.breaths).join(" / ")}</span>
+            </div>
+            <div style={styles.csRow}>
+              <span style={styles.csLabel}>Duration</span>
+              <span style={styles.csValue}>
+                {fmtTime(Math.round((Date.now() - sessionStart) / 1000))}
+              </span>
+            </div>
+            <div style={{ ...styles.csDivider }} />
+            <div style={styles.csRetentions}>
+              <span style={styles.csLabel}>Retention Times</span>
+              <div style={styles.retentionRow}>
+                {roundRetentions.map((r, i) => {
+                  const target = sessionPlan[i] ? sessionPlan[i].retentionTarget : 0;
+                  return (
+                    <span
+                      key={i}
+                      style={{
+                        ...styles.retentionPillLight,
+                        ...(target > 0 && r >= target ? styles.targetMet : null),
+                      }}
+                    >
+                      R{i + 1}: {fmtTime(r)}
+                      {target > 0 && ` / ${fmtTime(target)}`}
+                    </span>
+                  );
+                })}
+              </div>
+            </div>
+            {roundRetentions.length > 0 && (
+              <div style={styles.csRow}>
+                <span style={styles.csLabel}>Best hold</span>
+                <span style={{ ...styles.csValue, color: "#78d6b5" }}>
+                  {fmtTime(Math.max(...roundRetentions))}
+                </span>
+              </div>
+            )}
+          </div>
+
+          {journalSession && (
+            <SessionJournal
+              session={journalSession}
+              tags={knownTags(appData.sessions)}
+              onChange={(patch) => updateSession(journalId, patch)}
+            />
+          )}
+
+          <div style={{ ...styles.statsBanner, marginTop: 24 }}>
+            <div style={styles.statItem}>
+              <span style={styles.statNumber}>{streak}</span>
+              <span style={styles.statLabel}>day streak</span>
+            </div>
+            <div style={styles.statDivider} />
+            <div style={styles.statItem}>
+              <span style={styles.statNumber}>{todaySessions.length}</span>
+              <span style={styles.statLabel}>today</span>
+            </div>
+          </div>
+
+          <button style={{ ...styles.startBtn, marginTop: 28 }} onClick={resetToSetup}>
+            Done
+          </button>
+        </div>
+      )}
+
+      {/* Cancel button during active session */}
+      {isActiveSession && (
+        <button
+          style={styles.cancelBtn}
+          onClick={() => setShowQuitConfirm(true)}
+          aria-label="Quit session"
+          aria-keyshortcuts="Escape"
+        >
+          ✕
+        </button>
+      )}
+
+      {isActiveSession && !paused && (
+        <button
+          style={styles.pauseBtn}
+          onClick={pauseSession}
+          aria-label="Pause session"
+          aria-keyshortcuts="P"
+        >
+          ❚❚
+        </button>
+      )}
+
+      {/* Pause overlay */}
+      {isActiveSession && paused && (
+        <div style={styles.quitOverlay}>
+          {resumeCountdown > 0 ? (
+            <span style={styles.resumeCountdown}>{resumeCountdown}</span>
+          ) : (
+            <div style={styles.quitCard}>
+              <p style={styles.quitTitle}>Paused</p>
+              <p style={styles.quitSub}>
+                {phase === PHASE.BREATHING &&
+                  `Breath ${breathCount} of ${activeRound && activeRound.breaths}`}
+                {phase === PHASE.RETENTION && `Holding for ${fmtTime(retentionTime)}`}
+                {phase === PHASE.RECOVERY && `${recoveryCountdown}s of recovery left`}
+              </p>
+              <div style={styles.quitBtns}>
+                <button style={styles.quitCancelBtn} onClick={resumeSession}>
+                  Resume
+                </button>
+                <button style={styles.quitConfirmBtn} onClick={() => setShowQuitConfirm(true)}>
+                  End session
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {isActiveSession && (
+        <div
+          style={{
+            ...styles.volumeDock,
+            ...(showVolumeControl ? styles.volumeDockOpen : null),
+          }}
+        >
+          <button
+            style={styles.volumeHandle}
+            onClick={() => setShowVolumeControl((v) => !v)}
+            aria-label={showVolumeControl ? "Hide mixer" : "Show mixer"}
+          >
+            <span style={styles.volumeHandleText}>sound</span>
+            <span style={styles.volumeHandleValue}>
+              {mixer.muted ? "muted" : fmtPercent(mixer.breath)}
+            </span>
+          </button>
+          <div
+            style={{
+              ...styles.volumePanel,
+              ...(showVolumeControl ? styles.volumePanelOpen : styles.volumePanelClosed),
+            }}
+          >
+            <MixerControls mix={mixer} onChange={setMixer} />
+          </div>
+        </div>
+      )}
+
+      {/* Interrupted session, found at launch */}
+      {phase === PHASE.SETUP && interrupted && (
+        <div style={styles.quitOverlay}>
+          <div
+            style={styles.quitCard}
+            role="alertdialog"
+            aria-modal="true"
+            aria-labelledby="interrupted-title"
+            aria-describedby="interrupted-sub"
+            onKeyDown={(e) => trapFocus(e, e.currentTarget)}
+          >
+            <p id="interrupted-title" style={styles.quitTitle}>
+              Session interrupted
+            </p>
+            <p id="interrupted-sub" style={styles.quitSub}>
+              {interrupted.retentions.length >= interrupted.plan.length
+                ? `All ${interrupted.plan.length} rounds were finished.`
+                : `You'd finished ${interrupted.retentions.length} of ${interrupted.plan.length} rounds.`}
+            </p>
+            <div style={styles.quitBtns}>
+              {interrupted.retentions.length < interrupted.plan.length && (
+                <button style={styles.quitCancelBtn} onClick={resumeInterrupted} autoFocus>
+                  Resume from round {interrupted.retentions.length + 1}
+                </button>
+              )}
+              {interrupted.retentions.length > 0 && (
+                <button style={styles.quitSaveBtn} onClick={saveInterrupted}>
+                  {interrupted.retentions.length >= interrupted.plan.length
+                    ? "Save session"
+                    : "Save completed rounds"}
+                </button>
+              )}
+              <button style={styles.quitConfirmBtn} onClick={discardInterrupted}>
+                Discard
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Quit confirmation overlay */}
+      {showQuitConfirm && (
+        <div style={styles.quitOverlay}>
+          <div
+            ref={quitDialogRef}
+            style={styles.quitCard}
+            role="alertdialog"
+            aria-modal="true"
+            aria-labelledby="quit-title"
+            aria-describedby="quit-sub"
+            onKeyDown={(e) => trapFocus(e, quitDialogRef.current)}
+          >
+            <p id="quit-title" style={styles.quitTitle}>
+              Quit session?
+            </p>
+            <p id="quit-sub" style={styles.quitSub}>
+              {roundRetentions.length > 0
+                ? `You've finished ${roundRetentions.length} of ${totalRounds} rounds.`
+                : "Your progress won't be saved."}
+            </p>
+            <div style={styles.quitBtns}>
+              {roundRetentions.length > 0 && (
+                <button style={styles.quitSaveBtn} onClick={saveAndQuit}>
+                  Save completed rounds
+                </button>
+              )}
+              <button style={styles.quitConfirmBtn} onClick={resetToSetup}>
+                {roundRetentions.length > 0 ? "Discard" : "Quit"}
+              </button>
+              <button
+                ref={keepGoingRef}
+                style={styles.quitCancelBtn}
+                onClick={() => setShowQuitConfirm(false)}
+              >
+                Keep going
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div style={styles.srOnly} role="status" aria-live="polite" aria-atomic="true">
+        {announcement}
+      </div>
+
+      <style>{`
+        @keyframes pulse-ring {
+          0% { transform: scale(0.95); opacity: 0.3; }
+          50% { transform: scale(1.05); opacity: 0.15; }
+          100% { transform: scale(0.95); opacity: 0.3; }
+        }
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        @media (prefers-reduced-motion: reduce) {
+          *, *::before, *::after {
+            animation: none !important;
+            transition-duration: 0ms !important;
+          }
+        }
+      `}</style>
+    </div>
+  );
+}
+
+// ─── Session Presets ─────────────────────────────────────────────
+const presetSummary = (settings) => {
+  const s = withDefaults(settings);
+  if (s.protocolEnabled && s.protocol.length > 0) {
+    return `${s.protocol.map((r) => r.breaths).join("/")} · protocol`;
+  }
+  return `${s.rounds} × ${s.breathsPerRound} · ${tempoLabel(s.tempoPreset, s.customTempo)}`;
+};
+
+// ─── Config Stepper ──────────────────────────────────────────────
+// `compact` is the smaller variant used inside a protocol round, captioned
+// like a hint; the regular one can carry a hint under its label.
+function ConfigStepper({ label, hint, value, limits, format, onChange, compact = false }) {
+  const btnStyle = compact ? styles.stepBtnSmall : styles.stepBtn;
+  return (
+    <div style={compact ? styles.subConfigRow : styles.configRow}>
+      {compact ? (
+        <span style={styles.configHint}>{label}</span>
+      ) : (
+        <div style={styles.configLabelStack}>
+          <span style={styles.configLabel}>{label}</span>
+          {hint && <span style={styles.configHint}>{hint}</span>}
+        </div>
+      )}
+      <div style={styles.stepper}>
+        <button
+          style={btnStyle}
+          onClick={() => onChange(Math.max(limits.min, value - limits.step))}
+          aria-label={`Decrease ${label.toLowerCase()}`}
+        >
+          −
+        </button>
+        <span
+          style={compact ? styles.stepValueSmall : styles.stepValue}
+          {...stepperValueProps(label, value, limits, format, onChange)}
+        >
+          {format(value)}
+        </span>
+        <button
+          style={btnStyle}
+          onClick={() => onChange(Math.min(limits.max, value + limits.step))}
+          aria-label={`Increase ${label.toLowerCase()}`}
+        >
+          +
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ─── Protocol Editor ─────────────────────────────────────────────
+function ProtocolEditor({ protocol, onChange }) {
+  const updateRound = (index, patch) =>
+    onChange(protocol.map((r, i) => (i === index ? { ...r, ...patch } : r)));
+
+  return (
+    <>
+      {protocol.map((r, i) => (
+        <div key={i} style={styles.configBlock}>
+          <div style={styles.configBlockHead}>
+            <span style={styles.configLabel}>Round {i + 1}</span>
+            {protocol.length > 1 && (
+              <button
+                style={styles.backBtn}
+                onClick={() => onChange(protocol.filter((_, k) => k !== i))}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+          <ConfigStepper
+            compact
+            label="Breaths"
+            value={r.breaths}
+            limits={PROTOCOL_LIMITS.breaths}
+            format={(v) => v}
+            onChange={(breaths) => updateRound(i, { breaths })}
+          />
+          <div style={styles.segmented}>
+            {[...Object.entries(TEMPO_PRESETS), [CUSTOM_TEMPO, { label: "Custom" }]].map(
+              ([id, { label }]) => (
+                <button
+                  key={id}
+                  style={{
+                    ...styles.segmentBtn,
+                    ...(r.tempoPreset === id ? styles.segmentBtnActive : null),
+                  }}
+                  onClick={() => updateRound(i, { tempoPreset: id })}
+                >
+                  {label}
+                </button>
+              ),
+            )}
+          </div>
+          <ConfigStepper
+            compact
+            label="Recovery hold"
+            value={r.recoverySeconds}
+            limits={PROTOCOL_LIMITS.recoverySeconds}
+            format={fmtTime}
+            onChange={(recoverySeconds) => updateRound(i, { recoverySeconds })}
+          />
+          <ConfigStepper
+            compact
+            label="Retention target"
+            value={r.retentionTarget || 0}
+            limits={PROTOCOL_LIMITS.retentionTarget}
+            format={fmtOptionalTime}
+            onChange={(retentionTarget) => updateRound(i, { retentionTarget })}
+          />
+        </div>
+      ))}
+      {protocol.length < PROTOCOL_MAX_ROUNDS && (
+        <button
+          style={styles.presetAdd}
+          onClick={() => onChange([...protocol, { ...protocol[protocol.length - 1] }])}
+        >
+          + Add round
+        </button>
+      )}
+    </>
+  );
+}
+
+function SessionPresets({ presets, currentSummary, onStart, onSave, onRename, onMove, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [naming, setNaming] = useState(null); // { id | null, name } while a name is being typed
+
+  const submitName = (e) => {
+    e.preventDefault();
+    const name = naming.name.trim();
+    if (name) {
+      if (naming.id) onRename(naming.id, name);
+      else onSave(name);
+    }
+    setNaming(null);
+  };
+
+  const nameForm = (
+    <form style={styles.presetNameForm} onSubmit={submitName}>
+      <input
+        style={styles.presetNameInput}
+        autoFocus
+        value={naming ? naming.name : ""}
+        placeholder={`e.g. Morning ${currentSummary.split(" · ")[0]}`}
+        maxLength={40}
+        onChange={(e) => setNaming((n) => ({ ...n, name: e.target.value }))}
+        aria-label="Preset name"
+      />
+      <button type="submit" style={styles.smallBtn}>
+        Save
+      </button>
+      <button type="button" style={styles.smallBtnMuted} onClick={() => setNaming(null)}>
+        Cancel
+      </button>
+    </form>
+  );
+
+  return (
+    <div style={styles.presetSection}>
+      <div style={styles.configBlockHead}>
+        <h3 style={styles.todayTitle}>Presets</h3>
+        {presets.length > 0 && (
+          <button
+            style={styles.backBtn}
+            onClick={() => {
+              setEditing((v) => !v);
+              setNaming(null);
+            }}
+          >
+            {editing ? "Done" : "Edit"}
+          </button>
+        )}
+      </div>
+
+      {presets.map((p, i) =>
+        naming && naming.id === p.id ? (
+          <div key={p.id}>{nameForm}</div>
+        ) : (
+          <div key={p.id} style={styles.presetRow}>
+            <button
+              style={styles.presetStart}
+              onClick={() => !editing && onStart(p)}
+              disabled={editing}
+              aria-label={`Start ${p.name}`}
+            >
+              <span style={styles.presetName}>{p.name}</span>
+              <span style={styles.configHint}>{presetSummary(p.settings)}</span>
+            </button>
+            {editing ? (
+              <div style={styles.presetTools}>
+                <button
+                  style={styles.presetTool}
+                  disabled={i === 0}
+                  onClick={() => onMove(p.id, -1)}
+                  aria-label={`Move ${p.name} up`}
+                >
+                  ↑
+                </button>
+                <button
+                  style={styles.presetTool}
+                  disabled={i === presets.length - 1}
+                  onClick={() => onMove(p.id, 1)}
+                  aria-label={`Move ${p.name} down`}
+                >
+                  ↓
+                </button>
+                <button
+                  style={styles.presetTool}
+                  onClick={() => setNaming({ id: p.id, name: p.name })}
+                  aria-label={`Rename ${p.name}`}
+                >
+                  ✎
+                </button>
+                <button
+                  style={styles.presetTool}
+                  onClick={() => onDelete(p.id)}
+                  aria-label={`Delete ${p.name}`}
+                >
+                  ✕
+                </button>
+              </div>
+            ) : (
+              <span style={styles.presetPlay}>▶</span>
+            )}
+          </div>
+        ),
+      )}
+
+      {naming && !naming.id ? (
+        nameForm
+      ) : (
+        <button style={styles.presetAdd} onClick={() => setNaming({ id: null, name: "" })}>
+          + Save current setup ({currentSummary})
+        </button>
+      )}
+    </div>
+  );
+}
+
+// ─── Session Journal ─────────────────────────────────────────────
+// The fields a journal adds to a session record are described in journal.js
+const SUGGESTED_TAGS = ["fasted", "cold shower after", "morning", "evening", "after exercise"];
+
+// Every tag used so far, most used first
+const knownTags = (sessions) => {
+  const counts = new Map();
+  sessions.forEach((s) => (s.tags || []).forEach((t) => counts.set(t, (counts.get(t) || 0) + 1)));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .map(([t]) => t);
+};
+
+const fmtRating = ({ before, after } = {}) => `${before || "–"} → ${after || "–"}`;
+
+const hasRating = (rating) => !!rating && !!(rating.before || rating.after);
+
+const hasJournal = (s) =>
+  !!s.note || (s.tags && s.tags.length > 0) || JOURNAL_RATINGS.some(([key]) => hasRating(s[key]));
+
+function SessionJournal({ session, tags, onChange }) {
+  const [note, setNote] = useState(session.note || "");
+  const [newTag, setNewTag] = useState("");
+  const saveNoteRef = useRef(null);
+  const sessionTags = session.tags || [];
+  const choices = [...new Set([...sessionTags, ...tags, ...SUGGESTED_TAGS])];
+
+  // Tapping the current rating again clears it
+  const rate = (key, when, value) => {
+    const current = session[key] || {};
+    onChange({ [key]: { ...current, [when]: current[when] === value ? null : value } });
+  };
+
+  const toggleTag = (tag) =>
+    onChange({
+      tags: sessionTags.includes(tag)
+        ? sessionTags.filter((t) => t !== tag)
+        : [...sessionTags, tag],
+    });
+
+  const addTag = (e) => {
+    e.preventDefault();
+    const tag = normalizeTag(newTag);
+    if (tag && !sessionTags.includes(tag)) onChange({ tags: [...sessionTags, tag] });
+    setNewTag("");
+  };
+
+  const saveNote = () => {
+    const trimmed = note.trim();
+    if (trimmed !== (session.note || "")) onChange({ note: trimmed });
+  };
+  saveNoteRef.current = saveNote;
+
+  // Saved once typing pauses, on leaving the field, and when the journal closes
+  useEffect(() => {
+    const id = setTimeout(() => saveNoteRef.current(), SETTINGS_SAVE_DELAY_MS);
+    return () => clearTimeout(id);
+  }, [note]);
+
+  useEffect(() => () => saveNoteRef.current(), []);
+
+  return (
+    <div style={styles.journal}>
+      <h3 style={styles.todayTitle}>Journal</h3>
+      {JOURNAL_RATINGS.map(([key, label]) =>
+        ["before", "after"].map((when) => (
+          <div key={`${key}-${when}`} style={styles.configRow}>
+            <span style={styles.configLabel}>
+              {label} {when}
+            </span>
+            <div style={styles.ratingRow} role="radiogroup" aria-label={`${label} ${when}`}>
+              {RATING_SCALE.map((value) => {
+                const on = !!session[key] && session[key][when] === value;
+                return (
+                  <button
+                    key={value}
+                    style={{ ...styles.ratingBtn, ...(on ? styles.segmentBtnActive : null) }}
+                    onClick={() => rate(key, when, value)}
+                    role="radio"
+                    aria-checked={on}
+                  >
+                    {value}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        )),
+      )}
+
+      <div style={styles.tagRow}>
+        {choices.map((tag) => (
+          <button
+            key={tag}
+            style={{ ...styles.tagChip, ...(sessionTags.includes(tag) ? styles.tagChipOn : null) }}
+            onClick={() => toggleTag(tag)}
+            aria-pressed={sessionTags.includes(tag)}
+          >
+            {tag}
+          </button>
+        ))}
+      </div>
+      <form style={styles.presetNameForm} onSubmit={addTag}>
+        <input
+          style={styles.presetNameInput}
+          value={newTag}
+          placeholder="Add a tag"
+          maxLength={TAG_MAX_LENGTH}
+          onChange={(e) => setNewTag(e.target.value)}
+          aria-label="New tag"
+        />
+        <button type="submit" style={styles.smallBtn} disabled={!normalizeTag(newTag)}>
+          Add
+        </button>
+      </form>
+
+      <textarea
+        style={styles.journalNote}
+        value={note}
+        placeholder="How did it go?"
+        maxLength={NOTE_MAX_LENGTH}
+        rows={3}
+        onChange={(e) => setNote(e.target.value)}
+        onBlur={saveNote}
+        aria-label="Session note"
+      />
+    </div>
+  );
+}
+
+// ─── Session History ─────────────────────────────────────────────
+const HISTORY_DAYS_PER_PAGE = 7;
+
+function SessionHistory({ sessions, settings, onSettingsChange, onUpdate, onDelete, onBack }) {
+  const { partialSessions: partialMode, streakFreezes, weeklyGoal } = settings;
+  const [page, setPage] = useState(0);
+  const [expanded, setExpanded] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+
+  const days = useMemo(() => {
+    const byDate = new Map();
+    [...sessions]
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .forEach((s) => {
+        if (!byDate.has(s.date)) byDate.set(s.date, []);
+        byDate.get(s.date).push(s);
+      });
+    return [...byDate.entries()].sort(([a], [b]) => (a < b ? 1 : -1));
+  }, [sessions]);
+
+  const pageCount = Math.max(1, Math.ceil(days.length / HISTORY_DAYS_PER_PAGE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const visibleDays = days.slice(
+    currentPage * HISTORY_DAYS_PER_PAGE,
+    (currentPage + 1) * HISTORY_DAYS_PER_PAGE,
+  );
+
+  const toggle = (timestamp) => {
+    setExpanded((t) => (t === timestamp ? null : timestamp));
+    setDraft(null);
+    setConfirmDelete(null);
+  };
+
+  const saveDraft = (timestamp) => {
+    onUpdate(timestamp, { retentions: draft.map((r) => Math.max(0, Math.round(r) || 0)) });
+    setDraft(null);
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.screenHeader}>
+        <button style={styles.backBtn} onClick={onBack}>
+          ← Back
+        </button>
+        <h2 style={styles.screenTitle}>History</h2>
+      </div>
+
+      {days.length === 0 && <p style={styles.emptyNote}>No sessions logged yet.</p>}
+
+      <div style={styles.configBlock}>
+        <ConfigStepper
+          label="Rest days"
+          hint="Missed days per week that keep the streak"
+          value={streakFreezes}
+          limits={STREAK_FREEZE_LIMITS}
+          format={(n) => (n > 0 ? `${n}/wk` : "off")}
+          onChange={(n) => onSettingsChange({ streakFreezes: n })}
+        />
+        <ConfigStepper
+          label="Weekly goal"
+          hint={`${partialMode === "count" ? "Sessions" : "Full sessions"} per week, Monday to Sunday`}
+          value={weeklyGoal}
+          limits={WEEKLY_GOAL_LIMITS}
+          format={(n) => (n > 0 ? String(n) : "off")}
+          onChange={(n) => onSettingsChange({ weeklyGoal: n })}
+        />
+      </div>
+
+      {sessions.some((s) => s.partial) && (
+        <div style={styles.configBlock}>
+          <div style={styles.configBlockHead}>
+            <span style={styles.configLabel}>Partial sessions</span>
+            <span style={styles.configHint}>{PARTIAL_SESSION_MODES[partialMode].hint}</span>
+          </div>
+          <div style={styles.segmented}>
+            {Object.entries(PARTIAL_SESSION_MODES).map(([id, { label }]) => (
+              <button
+                key={id}
+                style={{
+                  ...styles.segmentBtn,
+                  ...(partialMode === id ? styles.segmentBtnActive : null),
+                }}
+                onClick={() => onSettingsChange({ partialSessions: id })}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {visibleDays.map(([date, daySessions]) => (
+        <div key={date} style={styles.todaySection}>
+          <h3 style={styles.todayTitle}>{fmtDay(date)}</h3>
+          {daySessions.map((s) => {
+            const isOpen = expanded === s.timestamp;
+            const retentions = s.retentions || [];
+            return (
+              <div key={s.timestamp} style={styles.sessionCard}>
+                <button style={styles.historyToggle} onClick={() => toggle(s.timestamp)}>
+                  <span style={styles.sessionCardLabel}>
+                    {fmtClock(s.timestamp)} · {fmtShape(s)}
+                    {s.partial && <span style={styles.partialTag}>partial</span>}
+                  </span>
+                  <span style={styles.sessionCardTime}>
+                    {retentions.length > 0 ? `best ${fmtTime(Math.max(...retentions))}` : "—"}
+                  </span>
+                </button>
+
+                {isOpen && (
+                  <div style={styles.historyDetail}>
+                    <div style={styles.csRow}>
+                      <span style={styles.csLabel}>Duration</span>
+                      <span style={styles.csValue}>{fmtTime(s.duration)}</span>
+                    </div>
+                    {(draft || retentions).map((r, j) => (
+                      <div key={j} style={styles.csRow}>
+                        <span style={styles.csLabel}>Round {j + 1} hold</span>
+                        {draft ? (
+                          <input
+                            style={styles.holdInput}
+                            type="number"
+                            min="0"
+                            value={r}
+                            onChange={(e) =>
+                              setDraft((d) => d.map((v, k) => (k === j ? Number(e.target.value) : v)))
+                            }
+                            aria-label={`Round ${j + 1} hold in seconds`}
+                          />
+                        ) : (
+                          <span style={styles.csValue}>{fmtTime(r)}</span>
+                        )}
+                      </div>
+                    ))}
+                    {hasJournal(s) && (
+                      <div style={styles.journalSummary}>
+                        {JOURNAL_RATINGS.filter(([key]) => hasRating(s[key])).map(
+                          ([key, label]) => (
+                            <div key={key} style={styles.csRow}>
+                              <span style={styles.csLabel}>{label}</span>
+                              <span style={styles.csValue}>{fmtRating(s[key])}</span>
+                            </div>
+                          ),
+                        )}
+                        {s.tags && s.tags.length > 0 && (
+                          <div style={styles.retentionRow}>
+                            {s.tags.map((tag) => (
+                              <span key={tag} style={styles.retentionPill}>
+                                {tag}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                        {s.note && <p style={styles.journalNoteText}>{s.note}</p>}
+                      </div>
+                    )}
+
+                    <div style={styles.historyActions}>
+                      {draft ? (
+                        <>
+                          <button style={styles.smallBtn} onClick={() => saveDraft(s.timestamp)}>
+                            Save
+                          </button>
+                          <button style={styles.smallBtnMuted} onClick={() => setDraft(null)}>
+                            Cancel
+                          </button>
+                        </>
+                      ) : confirmDelete === s.timestamp ? (
+                        <>
+                          <button style={styles.smallBtnDanger} onClick={() => onDelete(s.timestamp)}>
+                            Delete session
+                          </button>
+                          <button style={styles.smallBtnMuted} onClick={() => setConfirmDelete(null)}>
+                            Keep
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          {retentions.length > 0 && (
+                            <button style={styles.smallBtn} onClick={() => setDraft(retentions)}>
+                              Edit holds
+                            </button>
+                          )}
+                          <button
+                            style={styles.smallBtnMuted}
+                            onClick={() => setConfirmDelete(s.timestamp)}
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ))}
 
-  // ── Recovery countdown ──
-  useEffect(() => {
-    if (phase === PHASE.RECOVERY) {
-      setRecoveryCountdown(15);
-      AudioEngine.recoveryIn();
-      clearTimers();
-      intervalRef.current = setInterval(() => {
-        setRecoveryCountdown((c) => {
-          if (c <= 1) {
-            clearTimers();
-            AudioEngine.roundComplete();
-            setTimeout(() => setPhase(PHASE.ROUND_DONE), 300);
-            return 0;
-          }
-          if (c <= 4) AudioEngine.countdownBeep();
-          return c - 1;
-        });
-      }, 1000);
-    }
-    return () => {
-      if (phase === PHASE.RECOVERY) clearTimers();
-    };
-  }, [phase, clearTimers]);
+      {pageCount > 1 && (
+        <div style={styles.pager}>
+          <button
+            style={styles.smallBtnMuted}
+            disabled={currentPage === 0}
+            onClick={() => setPage(currentPage - 1)}
+          >
+            Newer
+          </button>
+          <span style={styles.configHint}>
+            {currentPage + 1} / {pageCount}
+          </span>
+          <button
+            style={styles.smallBtnMuted}
+            disabled={currentPage >= pageCount - 1}
+            onClick={() => setPage(currentPage + 1)}
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
 
-  // ── Start session ──
-  const startSession = () => {
-    AudioEngine.unlock().then(() => {
-      setCurrentRound(1);
-      setRoundRetentions([]);
-      setSessionStart(Date.now());
-      startBreathingPhase();
-    });
-  };
+// ─── Retention Analytics ─────────────────────────────────────────
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
 
-  // ── End retention (user taps) ──
-  const endRetention = () => {
-    if (phase !== PHASE.RETENTION) return;
-    AudioEngine.unlock();
-    clearTimers();
-    setRoundRetentions((prev) => [...prev, retentionTime]);
-    setPhase(PHASE.RECOVERY);
-  };
+const buildAnalytics = (sessions) => {
+  const withHolds = sessions
+    .filter((s) => s.retentions && s.retentions.length > 0)
+    .sort((a, b) => a.timestamp - b.timestamp);
 
-  // ── Next round or complete ──
-  const nextRound = () => {
-    AudioEngine.unlock();
-    if (currentRound >= rounds) {
-      const duration = Math.round((Date.now() - sessionStart) / 1000);
-      const sessionRecord = {
-        date: todayStr(),
-        rounds,
-        breathsPerRound,
-        retentions: roundRetentions,
-        duration,
-        timestamp: Date.now(),
-      };
-      const newData = { ...appData, sessions: [...appData.sessions, sessionRecord] };
-      setAppData(newData);
-      saveData(newData);
-      AudioEngine.sessionComplete();
-      setPhase(PHASE.COMPLETE);
-    } else {
-      setCurrentRound((r) => r + 1);
-      startBreathingPhase();
-    }
-  };
+  const perRound = [];
+  withHolds.forEach((s) =>
+    s.retentions.forEach((r, i) => {
+      if (!perRound[i]) perRound[i] = [];
+      perRound[i].push(r);
+    }),
+  );
 
-  // ── Reset ──
-  const resetToSetup = () => {
-    clearTimers();
-    setShowQuitConfirm(false);
-    setPhase(PHASE.SETUP);
-    setCurrentRound(0);
-    setBreathCount(0);
-    setRetentionTime(0);
-    setRoundRetentions([]);
+  const byDay = new Map();
+  withHolds.forEach((s) => {
+    if (!byDay.has(s.date)) byDay.set(s.date, []);
+    byDay.get(s.date).push(...s.retentions);
+  });
+  const days = [...byDay.entries()].map(([date, holds]) => ({ date, x: dayNumber(date), holds }));
+
+  // Mean of every hold in the trailing window ending on each practice day
+  const rolling = (windowDays) =>
+    days.map((d) => ({
+      x: d.x,
+      y: mean(days.filter((o) => o.x > d.x - windowDays && o.x <= d.x).flatMap((o) => o.holds)),
+    }));
+
+  const drifts = withHolds
+    .filter((s) => s.retentions.length > 1)
+    .map((s) => ({
+      x: dayNumber(s.date),
+      y: s.retentions[s.retentions.length - 1] - s.retentions[0],
+    }));
+
+  const today = dayNumber(todayStr());
+  const weekHolds = (weeksAgo) =>
+    days
+      .filter((d) => d.x <= today - weeksAgo * 7 && d.x > today - (weeksAgo + 1) * 7)
+      .flatMap((d) => d.holds);
+
+  return {
+    sessionCount: withHolds.length,
+    perRound: perRound.map((holds, i) => ({
+      label: `R${i + 1}`,
+      value: mean(holds),
+      count: holds.length,
+    })),
+    dailyBest: days.map((d) => ({ x: d.x, y: Math.max(...d.holds) })),
+    trend7: rolling(7),
+    trend30: rolling(30),
+    drifts,
+    avgDrift: mean(drifts.map((d) => d.y)),
+    thisWeek: mean(weekHolds(0)),
+    lastWeek: mean(weekHolds(1)),
   };
+};
 
-  // ── Derived data ──
-  const streak = calcStreak(appData.sessions);
-  const todaySessions = appData.sessions.filter((s) => s.date === todayStr());
-  const totalSessions = appData.sessions.length;
+// Mean hold in sessions with each tag against the sessions without it
+const buildTagStats = (sessions) => {
+  const withHolds = sessions.filter((s) => s.retentions && s.retentions.length > 0);
+  return knownTags(withHolds).map((tag) => {
+    const tagged = withHolds.filter((s) => s.tags && s.tags.includes(tag));
+    const others = withHolds.filter((s) => !(s.tags && s.tags.includes(tag)));
+    const avg = mean(tagged.flatMap((s) => s.retentions));
+    return {
+      tag,
+      count: tagged.length,
+      avg,
+      diff: others.length ? avg - mean(others.flatMap((s) => s.retentions)) : null,
+    };
+  });
+};
 
-  if (!loaded) return null;
+const fmtSigned = (s) => `${s < 0 ? "−" : "+"}${fmtTime(Math.abs(Math.round(s)))}`;
+const fmtDayNumber = (x) => fmtDay(new Date(x * DAY_MS).toISOString().slice(0, 10));
+
+const CHART_W = 360;
+const CHART_H = 150;
+const CHART_PAD = { top: 12, right: 10, bottom: 20, left: 40 };
+
+// Dependency-free SVG line chart; every series shares the same axes
+function LineChart({ series, yFormat = fmtTime, zeroLine = false }) {
+  const points = series.flatMap((s) => s.points);
+  if (points.length === 0) return null;
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  let [x0, x1] = [Math.min(...xs), Math.max(...xs)];
+  let [y0, y1] = [Math.min(0, ...ys), Math.max(...ys)];
+  if (x0 === x1) [x0, x1] = [x0 - 1, x1 + 1];
+  if (y0 === y1) y1 = y0 + 1;
+
+  const innerW = CHART_W - CHART_PAD.left - CHART_PAD.right;
+  const innerH = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const sx = (x) => CHART_PAD.left + ((x - x0) / (x1 - x0)) * innerW;
+  const sy = (y) => CHART_PAD.top + (1 - (y - y0) / (y1 - y0)) * innerH;
 
   return (
-    <div style={styles.root}>
-      <link
-        href="https://fonts.googleapis.com/css2?family=DM+Sans:ital,opsz,wght@0,9..40,300;0,9..40,500;0,9..40,700;1,9..40,300&family=Instrument+Serif&display=swap"
-        rel="stylesheet"
-      />
-      <div style={styles.noiseOverlay} />
+    <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} style={styles.chart} role="img">
+      {[y0, y1].map((y) => (
+        <g key={y}>
+          <line
+            x1={CHART_PAD.left}
+            x2={CHART_W - CHART_PAD.right}
+            y1={sy(y)}
+            y2={sy(y)}
+            style={styles.chartGrid}
+          />
+          <text x={CHART_PAD.left - 6} y={sy(y) + 4} textAnchor="end" style={styles.chartLabel}>
+            {yFormat(y)}
+          </text>
+        </g>
+      ))}
+      {zeroLine && y0 < 0 && (
+        <line
+          x1={CHART_PAD.left}
+          x2={CHART_W - CHART_PAD.right}
+          y1={sy(0)}
+          y2={sy(0)}
+          style={styles.chartGrid}
+        />
+      )}
+      <text x={CHART_PAD.left} y={CHART_H - 4} style={styles.chartLabel}>
+        {fmtDayNumber(Math.min(...xs))}
+      </text>
+      <text
+        x={CHART_W - CHART_PAD.right}
+        y={CHART_H - 4}
+        textAnchor="end"
+        style={styles.chartLabel}
+      >
+        {fmtDayNumber(Math.max(...xs))}
+      </text>
+      {series.map((s) =>
+        s.dots ? (
+          s.points.map((p, i) => (
+            <circle key={`${s.name}-${i}`} cx={sx(p.x)} cy={sy(p.y)} r={2.5} fill={s.color} />
+          ))
+        ) : (
+          <polyline
+            key={s.name}
+            points={s.points.map((p) => `${sx(p.x)},${sy(p.y)}`).join(" ")}
+            fill="none"
+            stroke={s.color}
+            strokeWidth={s.width || 1.5}
+            strokeLinejoin="round"
+          />
+        ),
+      )}
+    </svg>
+  );
+}
 
-      {/* ─── SETUP SCREEN ─── */}
-      {phase === PHASE.SETUP && (
-        <div style={styles.container}>
-          <div style={styles.header}>
-            <h1 style={styles.title}>Breathe</h1>
-            <p style={styles.subtitle}>Wim Hof Method</p>
-          </div>
+function BarChart({ bars, yFormat = fmtTime }) {
+  if (bars.length === 0) return null;
+  const max = Math.max(1, ...bars.map((b) => b.value));
+  const innerH = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const slot = (CHART_W - 20) / bars.length;
+  const barW = Math.min(40, slot * 0.6);
 
-          <div style={styles.statsBanner}>
+  return (
+    <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} style={styles.chart} role="img">
+      {bars.map((b, i) => {
+        const h = (b.value / max) * innerH;
+        const cx = 10 + slot * i + slot / 2;
+        return (
+          <g key={b.label}>
+            <rect
+              x={cx - barW / 2}
+              y={CHART_PAD.top + innerH - h}
+              width={barW}
+              height={h}
+              rx={4}
+              fill="rgba(120,200,255,0.45)"
+            />
+            <text
+              x={cx}
+              y={CHART_PAD.top + innerH - h - 4}
+              textAnchor="middle"
+              style={styles.chartLabel}
+            >
+              {yFormat(Math.round(b.value))}
+            </text>
+            <text x={cx} y={CHART_H - 4} textAnchor="middle" style={styles.chartLabel}>
+              {b.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function RetentionAnalytics({ sessions, onBack }) {
+  const [tag, setTag] = useState(null);
+  const tagStats = useMemo(() => buildTagStats(sessions), [sessions]);
+  const filtered = useMemo(
+    () => (tag ? sessions.filter((s) => s.tags && s.tags.includes(tag)) : sessions),
+    [sessions, tag],
+  );
+  const a = useMemo(() => buildAnalytics(filtered), [filtered]);
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.screenHeader}>
+        <button style={styles.backBtn} onClick={onBack}>
+          ← Back
+        </button>
+        <h2 style={styles.screenTitle}>Insights</h2>
+      </div>
+
+      {tagStats.length > 0 && (
+        <div style={styles.tagRow}>
+          {[null, ...tagStats.map((t) => t.tag)].map((t) => (
+            <button
+              key={t || "all"}
+              style={{ ...styles.tagChip, ...(tag === t ? styles.tagChipOn : null) }}
+              onClick={() => setTag(t)}
+              aria-pressed={tag === t}
+            >
+              {t || "All sessions"}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {a.sessionCount === 0 ? (
+        <p style={styles.emptyNote}>Finish a session to start seeing trends.</p>
+      ) : (
+        <>
+          <div style={{ ...styles.statsBanner, marginTop: 24 }}>
             <div style={styles.statItem}>
-              <span style={styles.statNumber}>{streak}</span>
-              <span style={styles.statLabel}>day streak</span>
+              <span style={styles.statNumber}>{fmtTime(Math.round(a.thisWeek))}</span>
+              <span style={styles.statLabel}>avg this week</span>
             </div>
             <div style={styles.statDivider} />
             <div style={styles.statItem}>
-              <span style={styles.statNumber}>{todaySessions.length}</span>
-              <span style={styles.statLabel}>today</span>
+              <span style={styles.statNumber}>{fmtTime(Math.round(a.lastWeek))}</span>
+              <span style={styles.statLabel}>last week</span>
             </div>
             <div style={styles.statDivider} />
             <div style={styles.statItem}>
-              <span style={styles.statNumber}>{totalSessions}</span>
-              <span style={styles.statLabel}>all time</span>
+              <span style={styles.statNumber}>{a.drifts.length ? fmtSigned(a.avgDrift) : "—"}</span>
+              <span style={styles.statLabel}>R1 → last</span>
             </div>
           </div>
 
-          <div style={styles.configSection}>
-            <div style={styles.configRow}>
-              <span style={styles.configLabel}>Rounds</span>
-              <div style={styles.stepper}>
-                <button
-                  style={styles.stepBtn}
-                  onClick={() => setRounds((r) => Math.max(1, r - 1))}
-                >
-                  −
-                </button>
-                <span style={styles.stepValue}>{rounds}</span>
-                <button
-                  style={styles.stepBtn}
-                  onClick={() => setRounds((r) => Math.min(10, r + 1))}
-                >
-                  +
-                </button>
-              </div>
-            </div>
-            <div style={styles.configRow}>
-              <span style={styles.configLabel}>Breaths per round</span>
-              <div style={styles.stepper}>
-                <button
-                  style={styles.stepBtn}
-                  onClick={() => setBreathsPerRound((b) => Math.max(20, b - 5))}
-                >
-                  −
-                </button>
-                <span style={styles.stepValue}>{breathsPerRound}</span>
-                <button
-                  style={styles.stepBtn}
-                  onClick={() => setBreathsPerRound((b) => Math.min(60, b + 5))}
-                >
-                  +
-                </button>
-              </div>
+          <div style={styles.chartCard}>
+            <h3 style={styles.todayTitle}>Holds over time</h3>
+            <LineChart
+              series={[
+                { name: "best", points: a.dailyBest, color: "#78c8ff", dots: true },
+                { name: "trend30", points: a.trend30, color: "#64748b", width: 2 },
+                { name: "trend7", points: a.trend7, color: "#fbbf6a", width: 2 },
+              ]}
+            />
+            <div style={styles.chartLegend}>
+              <span style={{ color: "#78c8ff" }}>● daily best</span>
+              <span style={{ color: "#fbbf6a" }}>— 7-day avg</span>
+              <span style={{ color: "#64748b" }}>— 30-day avg</span>
             </div>
           </div>
 
-          <button style={styles.startBtn} onClick={startSession}>
-            Begin Session
-          </button>
+          <div style={styles.chartCard}>
+            <h3 style={styles.todayTitle}>Average hold by round</h3>
+            <BarChart bars={a.perRound} />
+          </div>
 
-          {todaySessions.length > 0 && (
-            <div style={styles.todaySection}>
-              <h3 style={styles.todayTitle}>Today's Sessions</h3>
-              {todaySessions.map((s, i) => (
-                <div key={i} style={styles.sessionCard}>
-                  <div style={styles.sessionCardRow}>
-                    <span style={styles.sessionCardLabel}>
-                      {s.rounds} rounds × {s.breathsPerRound} breaths
-                    </span>
-                    <span style={styles.sessionCardTime}>{fmtTime(s.duration)}</span>
-                  </div>
-                  {s.retentions && (
-                    <div style={styles.retentionRow}>
-                      {s.retentions.map((r, j) => (
-                        <span key={j} style={styles.retentionPill}>
-                          R{j + 1}: {fmtTime(r)}
-                        </span>
-                      ))}
-                    </div>
-                  )}
+          {!tag && tagStats.length > 0 && (
+            <div style={styles.chartCard}>
+              <h3 style={styles.todayTitle}>Average hold by tag</h3>
+              {tagStats.map((t) => (
+                <div key={t.tag} style={styles.csRow}>
+                  <span style={styles.csLabel}>
+                    {t.tag} · {t.count}
+                  </span>
+                  <span style={styles.csValue}>
+                    {fmtTime(Math.round(t.avg))}
+                    {t.diff !== null && (
+                      <span style={styles.tagDiff}> {fmtSigned(t.diff)} vs without</span>
+                    )}
+                  </span>
                 </div>
               ))}
             </div>
           )}
-        </div>
+
+          {a.drifts.length > 0 && (
+            <div style={styles.chartCard}>
+              <h3 style={styles.todayTitle}>Final round vs round 1</h3>
+              <LineChart
+                series={[{ name: "drift", points: a.drifts, color: "#78d6b5", dots: true }]}
+                yFormat={fmtSigned}
+                zeroLine
+              />
+            </div>
+          )}
+        </>
       )}
+    </div>
+  );
+}
 
-      {/* ─── BREATHING PHASE ─── */}
-      {phase === PHASE.BREATHING && (
-        <div style={styles.activeContainer}>
-          <div style={styles.roundIndicator}>
-            Round {currentRound} of {rounds}
-          </div>
+// ─── Breath Detection Config ─────────────────────────────────────
+function BreathDetectionConfig({ settings, onChange }) {
+  const { breathDetection, micSensitivity, micNoiseFloor } = settings;
+  const [calibrating, setCalibrating] = useState(false);
+  const [error, setError] = useState(null);
+  const supported = BreathMic.isSupported();
 
-          <div style={styles.orbContainer}>
-            <div
-              style={{
-                ...styles.orbOuter,
-                transform: breathingAnim ? "scale(1)" : "scale(0.55)",
-                opacity: breathingAnim ? 1 : 0.6,
-                background: breathingAnim
-                  ? "radial-gradient(circle, rgba(120,200,255,0.35) 0%, rgba(80,160,220,0.15) 50%, transparent 70%)"
-                  : "radial-gradient(circle, rgba(120,200,255,0.15) 0%, rgba(80,160,220,0.05) 50%, transparent 70%)",
-              }}
-            />
-            <div
-              style={{
-                ...styles.orbInner,
-                transform: breathingAnim ? "scale(1)" : "scale(0.5)",
-                opacity: breathingAnim ? 0.9 : 0.4,
-              }}
-            />
-            <div style={styles.orbCenter}>
-              <span style={styles.breathNum}>{breathCount}</span>
-              <span style={styles.breathTotal}>/ {breathsPerRound}</span>
-            </div>
-          </div>
+  const calibrate = async () => {
+    setError(null);
+    setCalibrating(true);
+    try {
+      await AudioEngine.unlock();
+      onChange({ micNoiseFloor: await BreathMic.calibrate(MIC_CALIBRATION_MS) });
+    } catch (err) {
+      setError(err.message || "The microphone is unavailable.");
+    }
+    setCalibrating(false);
+  };
 
-          <p style={styles.phaseLabel}>{isInhale ? "Breathe In" : "Breathe Out"}</p>
-          <p style={styles.phaseHint}>Deep belly breaths, in through nose, out through mouth</p>
+  return (
+    <>
+      <div style={styles.configRow}>
+        <div style={styles.configLabelStack}>
+          <span style={styles.configLabel}>Breath detection</span>
+          <span style={styles.configHint}>
+            {supported
+              ? "The mic ends the hold when you breathe in; headphones help"
+              : "This browser has no microphone access"}
+          </span>
         </div>
+        <button
+          style={{
+            ...styles.toggle,
+            ...(breathDetection ? styles.toggleOn : null),
+            ...(supported ? null : styles.toggleDisabled),
+          }}
+          onClick={() => onChange({ breathDetection: !breathDetection })}
+          disabled={!supported}
+          role="switch"
+          aria-checked={breathDetection}
+        >
+          <span
+            style={{ ...styles.toggleKnob, ...(breathDetection ? styles.toggleKnobOn : null) }}
+          />
+        </button>
+      </div>
+      {breathDetection && (
+        <>
+          <ConfigStepper
+            label="Sensitivity"
+            value={micSensitivity}
+            limits={MIC_SENSITIVITY_LIMITS}
+            format={fmtPercent}
+            onChange={(value) => onChange({ micSensitivity: Math.round(value * 10) / 10 })}
+          />
+          <div style={styles.configRow}>
+            <div style={styles.configLabelStack}>
+              <span style={styles.configLabel}>Calibration</span>
+              <span style={styles.configHint}>
+                {calibrating
+                  ? "Stay quiet for a few seconds…"
+                  : micNoiseFloor > 0
+                    ? "Tuned to this room"
+                    : "Not calibrated; using a default level"}
+              </span>
+            </div>
+            <button style={styles.smallBtn} onClick={calibrate} disabled={calibrating}>
+              {calibrating ? "Listening…" : "Calibrate"}
+            </button>
+          </div>
+          {error && <p style={styles.backupError}>{error}</p>}
+        </>
       )}
+    </>
+  );
+}
 
-      {/* ─── RETENTION PHASE ─── */}
-      {phase === PHASE.RETENTION && (
-        <div style={styles.activeContainer}>
-          <div style={styles.roundIndicator}>
-            Round {currentRound} of {rounds} — Retention
-          </div>
+// ─── Mixer ───────────────────────────────────────────────────────
+function MixerControls({ mix, onChange }) {
+  return (
+    <div style={styles.mixer}>
+      {MIX_CHANNELS.map(([id, label]) => (
+        <label key={id} style={styles.mixerRow}>
+          <span style={styles.mixerLabel}>{label}</span>
+          <input
+            style={styles.volumeSlider}
+            type="range"
+            min={MIX_LIMITS.min}
+            max={MIX_LIMITS.max}
+            step={MIX_LIMITS.step}
+            value={mix[id]}
+            disabled={mix.muted}
+            onChange={(e) => onChange({ ...mix, [id]: Number(e.target.value) })}
+            aria-label={`${label} level`}
+          />
+          <span style={styles.mixerValue}>{fmtPercent(mix[id])}</span>
+        </label>
+      ))}
+      <div style={styles.mixerRow}>
+        <span style={styles.mixerLabel}>Mute all</span>
+        <button
+          style={{ ...styles.toggle, ...(mix.muted ? styles.toggleOn : null) }}
+          onClick={() => onChange({ ...mix, muted: !mix.muted })}
+          role="switch"
+          aria-checked={mix.muted}
+          aria-label="Mute all sound"
+        >
+          <span style={{ ...styles.toggleKnob, ...(mix.muted ? styles.toggleKnobOn : null) }} />
+        </button>
+      </div>
+    </div>
+  );
+}
 
-          <div style={styles.orbContainer}>
-            <div style={{ ...styles.orbOuter, transform: "scale(0.4)", opacity: 0.3 }} />
-            <div
-              style={{
-                ...styles.orbInner,
-                transform: "scale(0.45)",
-                opacity: 0.35,
-                background:
-                  "radial-gradient(circle, rgba(255,180,100,0.6) 0%, rgba(255,140,60,0.3) 60%, transparent 80%)",
-              }}
-            />
-            <div style={styles.orbCenter}>
-              <span style={styles.retentionTimer}>{fmtTime(retentionTime)}</span>
-            </div>
-          </div>
+// ─── Sound Settings ──────────────────────────────────────────────
+const AMBIENT_PREVIEW_MS = 6000;
 
-          <p style={styles.phaseLabel}>Hold Your Breath</p>
-          <button style={styles.tapBtn} onClick={endRetention}>
-            Tap when you need to breathe
-          </button>
-        </div>
-      )}
+const VOICE_SOURCES = [
+  ["speech", "Speech"],
+  ["clips", "Recorded clips"],
+];
 
-      {/* ─── RECOVERY PHASE ─── */}
-      {phase === PHASE.RECOVERY && (
-        <div style={styles.activeContainer}>
-          <div style={styles.roundIndicator}>
-            Round {currentRound} of {rounds} — Recovery
-          </div>
+function SoundSettings({ settings, mixer, onChange, onMixerChange, onBack }) {
+  const {
+    voiceEnabled,
+    voiceLang,
+    voiceLevel,
+    voiceSource,
+    soundPack,
+    ambientSound,
+    hapticsEnabled,
+  } = settings;
+  const [clipCount, setClipCount] = useState(() => VoiceGuide.clipKeys().length);
+  const [clipNotice, setClipNotice] = useState(null);
+  const [clipError, setClipError] = useState(null);
+  const [packFiles, setPackFiles] = useState({});
+  const [packError, setPackError] = useState(null);
+  const fileRef = useRef(null);
+  const packFileRef = useRef(null);
+  const packCueRef = useRef(null);
+  const [ambientPreview, setAmbientPreview] = useState(false);
+  const speechSupported = VoiceGuide.isSupported();
+  const hapticsSupported = Haptics.isSupported();
+
+  // A short ambient preview; the layer otherwise only plays during sessions
+  useEffect(() => {
+    if (!ambientPreview || ambientSound === "off") return;
+    AudioEngine.unlock();
+    AudioEngine.startAmbient(ambientSound);
+    AudioEngine.fadeAmbient(1);
+    const id = setTimeout(() => setAmbientPreview(false), AMBIENT_PREVIEW_MS);
+    return () => {
+      clearTimeout(id);
+      AudioEngine.stopAmbient();
+    };
+  }, [ambientPreview, ambientSound]);
+
+  useEffect(() => {
+    loadCustomPack().then(
+      (p) => setPackFiles(p.files),
+      () => {},
+    );
+  }, []);
+
+  const previewPack = async (id) => {
+    setPackError(null);
+    AudioEngine.preview(await resolveSoundPack(id));
+  };
+
+  const choosePackFile = (cue) => {
+    packCueRef.current = cue;
+    packFileRef.current.click();
+  };
+
+  // Stores the file for one cue and reloads "My files" wherever it is in use
+  const updatePackFile = async (cue, file) => {
+    setPackError(null);
+    try {
+      if (file) {
+        if (!(await AudioEngine.decodeClip(await file.arrayBuffer()))) {
+          setPackError(`${file.name} isn't audio this browser can play.`);
+          return;
+        }
+        await saveAsset(PACK_ASSET_PREFIX, { name: cue, blob: file, fileName: file.name });
+      } else {
+        await deleteAsset(PACK_ASSET_PREFIX, cue);
+      }
+      const p = await loadCustomPack(true);
+      setPackFiles(p.files);
+      if (soundPack === "custom") applySoundPack("custom");
+    } catch (err) {
+      setPackError("Sound files can't be stored in this browser.");
+    }
+  };
+
+  const onPackFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (file) updatePackFile(packCueRef.current, file);
+  };
+
+  useEffect(() => {
+    if (voiceSource !== "clips") return;
+    loadVoiceClips().then(setClipCount, () =>
+      setClipError("Recorded clips can't be stored in this browser."),
+    );
+  }, [voiceSource]);
+
+  const onFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (files.length === 0) return;
+    setClipError(null);
+    setClipNotice(null);
+    const assets = [];
+    const skipped = [];
+    for (const file of files) {
+      const name = voiceClipKey(file.name);
+      // Decoding up front rejects files the browser can't play
+      const clip = name && (await AudioEngine.decodeClip(await file.arrayBuffer()));
+      if (clip) assets.push({ name, blob: file });
+      else skipped.push(file.name);
+    }
+    if (assets.length === 0) {
+      setClipError(`None of the files matched a prompt name: ${skipped.join(", ")}`);
+      return;
+    }
+    try {
+      await replaceAssets(VOICE_ASSET_PREFIX, assets);
+      const count = await loadVoiceClips();
+      setClipCount(count);
+      setClipNotice(
+        `Loaded ${count} clip${count === 1 ? "" : "s"}.` +
+          (skipped.length > 0 ? ` Skipped ${skipped.join(", ")}.` : ""),
+      );
+    } catch (err) {
+      setClipError("Clips couldn't be stored on this device.");
+    }
+  };
 
-          <div style={styles.orbContainer}>
-            <div
-              style={{
-                ...styles.orbOuter,
-                transform: "scale(0.85)",
-                opacity: 0.7,
-                background:
-                  "radial-gradient(circle, rgba(100,220,180,0.3) 0%, rgba(60,180,140,0.12) 50%, transparent 70%)",
-              }}
-            />
-            <div
-              style={{
-                ...styles.orbInner,
-                transform: "scale(0.8)",
-                opacity: 0.7,
-                background:
-                  "radial-gradient(circle, rgba(100,220,180,0.7) 0%, rgba(60,180,140,0.3) 60%, transparent 80%)",
-              }}
-            />
-            <div style={styles.orbCenter}>
-              <span style={styles.recoveryNum}>{recoveryCountdown}</span>
-            </div>
-          </div>
+  const removeClips = async () => {
+    setClipNotice(null);
+    try {
+      await replaceAssets(VOICE_ASSET_PREFIX, []);
+      VoiceGuide.setClips({});
+      setClipCount(0);
+    } catch (err) {
+      setClipError("Clips couldn't be removed.");
+    }
+  };
 
-          <p style={styles.phaseLabel}>Breathe In & Hold</p>
-          <p style={styles.phaseHint}>Take a deep recovery breath and hold for 15 seconds</p>
-        </div>
-      )}
+  const preview = () => {
+    AudioEngine.unlock();
+    VoiceGuide.preview();
+  };
 
-      {/* ─── ROUND COMPLETE ─── */}
-      {phase === PHASE.ROUND_DONE && (
-        <div style={styles.activeContainer}>
-          <div style={styles.roundIndicator}>Round {currentRound} Complete</div>
+  return (
+    <div style={styles.container}>
+      <div style={styles.screenHeader}>
+        <button style={styles.backBtn} onClick={onBack}>
+          ← Back
+        </button>
+        <h2 style={styles.screenTitle}>Sound</h2>
+      </div>
 
-          <div style={styles.roundDoneStats}>
-            <div style={styles.rdStatBig}>
-              <span style={styles.rdStatValue}>
-                {fmtTime(roundRetentions[roundRetentions.length - 1] || 0)}
-              </span>
-              <span style={styles.rdStatLabel}>breath hold</span>
-            </div>
+      <div style={styles.configSection}>
+        <div style={styles.configBlock}>
+          <div style={styles.configBlockHead}>
+            <span style={styles.configLabel}>Sound pack</span>
+            <span style={styles.configHint}>{SOUND_PACKS[soundPack].hint}</span>
           </div>
+          {Object.entries(SOUND_PACKS).map(([id, { label }]) => (
+            <div key={id} style={styles.subConfigRow}>
+              <button
+                style={{
+                  ...styles.packOption,
+                  ...(soundPack === id ? styles.packOptionActive : null),
+                }}
+                onClick={() => onChange({ soundPack: id })}
+                aria-pressed={soundPack === id}
+              >
+                {label}
+              </button>
+              <button style={styles.smallBtnMuted} onClick={() => previewPack(id)}>
+                Preview
+              </button>
+            </div>
+          ))}
+          {soundPack === "custom" &&
+            SOUND_PACK_CUES.map(([cue, label]) => (
+              <div key={cue} style={styles.subConfigRow}>
+                <div style={styles.configLabelStack}>
+                  <span style={styles.configHint}>{label}</span>
+                  <span style={styles.packFileName}>{packFiles[cue] || "Classic"}</span>
+                </div>
+                <div style={styles.historyActions}>
+                  <button style={styles.smallBtn} onClick={() => choosePackFile(cue)}>
+                    Choose…
+                  </button>
+                  {packFiles[cue] && (
+                    <button style={styles.smallBtnMuted} onClick={() => updatePackFile(cue, null)}>
+                      Clear
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          <input
+            ref={packFileRef}
+            type="file"
+            accept="audio/*"
+            style={{ display: "none" }}
+            onChange={onPackFile}
+          />
+          {packError && <p style={styles.backupError}>{packError}</p>}
+        </div>
 
-          {roundRetentions.length > 1 && (
-            <div style={styles.allRetentions}>
-              {roundRetentions.map((r, i) => (
-                <span key={i} style={styles.retentionPillLight}>
-                  R{i + 1}: {fmtTime(r)}
-                </span>
-              ))}
+        <div style={styles.configBlock}>
+          <div style={styles.configBlockHead}>
+            <span style={styles.configLabel}>Ambient</span>
+            <span style={styles.configHint}>{AMBIENT_SOUNDS[ambientSound].hint}</span>
+          </div>
+          <div style={styles.segmented}>
+            {Object.entries(AMBIENT_SOUNDS).map(([id, { label }]) => (
+              <button
+                key={id}
+                style={{
+                  ...styles.segmentBtn,
+                  ...(ambientSound === id ? styles.segmentBtnActive : null),
+                }}
+                onClick={() => onChange({ ambientSound: id })}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {ambientSound !== "off" && (
+            <div style={styles.historyActions}>
+              <button style={styles.smallBtnMuted} onClick={() => setAmbientPreview((on) => !on)}>
+                {ambientPreview ? "Stop preview" : "Preview"}
+              </button>
             </div>
           )}
+        </div>
 
-          <button style={styles.startBtn} onClick={nextRound}>
-            {currentRound >= rounds ? "Finish Session" : "Next Round"}
+        <div style={styles.configBlock}>
+          <div style={styles.configBlockHead}>
+            <span style={styles.configLabel}>Mixer</span>
+            <span style={styles.configHint}>Saved with presets</span>
+          </div>
+          <MixerControls mix={mixer} onChange={onMixerChange} />
+        </div>
+
+        <div style={styles.configRow}>
+          <div style={styles.configLabelStack}>
+            <span style={styles.configLabel}>Haptics</span>
+            <span style={styles.configHint}>
+              {hapticsSupported
+                ? "Vibrate on each breath, the hold, minutes and the countdown"
+                : "This device can't vibrate"}
+            </span>
+          </div>
+          <button
+            style={{
+              ...styles.toggle,
+              ...(hapticsEnabled ? styles.toggleOn : null),
+              ...(hapticsSupported ? null : styles.toggleDisabled),
+            }}
+            onClick={() => onChange({ hapticsEnabled: !hapticsEnabled })}
+            disabled={!hapticsSupported}
+            role="switch"
+            aria-checked={hapticsEnabled}
+          >
+            <span
+              style={{ ...styles.toggleKnob, ...(hapticsEnabled ? styles.toggleKnobOn : null) }}
+            />
           </button>
         </div>
-      )}
 
-      {/* ─── SESSION COMPLETE ─── */}
-      {phase === PHASE.COMPLETE && (
-        <div style={styles.container}>
-          <div style={{ textAlign: "center", marginBottom: 32 }}>
-            <p style={styles.completeEmoji}>✦</p>
-            <h2 style={styles.completeTitle}>Session Complete</h2>
+        <div style={styles.configRow}>
+          <div style={styles.configLabelStack}>
+            <span style={styles.configLabel}>Voice guide</span>
+            <span style={styles.configHint}>Spoken prompts through the session</span>
           </div>
+          <button
+            style={{ ...styles.toggle, ...(voiceEnabled ? styles.toggleOn : null) }}
+            onClick={() => onChange({ voiceEnabled: !voiceEnabled })}
+            role="switch"
+            aria-checked={voiceEnabled}
+          >
+            <span
+              style={{ ...styles.toggleKnob, ...(voiceEnabled ? styles.toggleKnobOn : null) }}
+            />
+          </button>
+        </div>
 
-          <div style={styles.completeSummary}>
-            <div style={styles.csRow}>
-              <span style={styles.csLabel}>Rounds</span>
-              <span style={styles.csValue}>{rounds}</span>
-            </div>
-            <div style={styles.csRow}>
-              <span style={styles.csLabel}>Breaths per round</span>
-              <span style={styles.csValue}>{breathsPerRound}</span>
-            </div>
-            <div style={styles.csRow}>
-              <span style={styles.csLabel}>Duration</span>
-              <span style={styles.csValue}>
-                {fmtTime(Math.round((Date.now() - sessionStart) / 1000))}
-              </span>
+        {voiceEnabled && (
+          <>
+            <div style={styles.configBlock}>
+              <div style={styles.configBlockHead}>
+                <span style={styles.configLabel}>Language</span>
+              </div>
+              <div style={styles.segmented}>
+                {Object.entries(VOICE_LANGUAGES).map(([id, { label }]) => (
+                  <button
+                    key={id}
+                    style={{
+                      ...styles.segmentBtn,
+                      ...(voiceLang === id ? styles.segmentBtnActive : null),
+                    }}
+                    onClick={() => onChange({ voiceLang: id })}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
             </div>
-            <div style={{ ...styles.csDivider }} />
-            <div style={styles.csRetentions}>
-              <span style={styles.csLabel}>Retention Times</span>
-              <div style={styles.retentionRow}>
-                {roundRetentions.map((r, i) => (
-                  <span key={i} style={styles.retentionPillLight}>
-                    R{i + 1}: {fmtTime(r)}
-                  </span>
+            <div style={styles.configBlock}>
+              <div style={styles.configBlockHead}>
+                <span style={styles.configLabel}>Detail</span>
+                <span style={styles.configHint}>{VOICE_LEVELS[voiceLevel].hint}</span>
+              </div>
+              <div style={styles.segmented}>
+                {Object.entries(VOICE_LEVELS).map(([id, { label }]) => (
+                  <button
+                    key={id}
+                    style={{
+                      ...styles.segmentBtn,
+                      ...(voiceLevel === id ? styles.segmentBtnActive : null),
+                    }}
+                    onClick={() => onChange({ voiceLevel: id })}
+                  >
+                    {label}
+                  </button>
                 ))}
               </div>
             </div>
-            {roundRetentions.length > 0 && (
-              <div style={styles.csRow}>
-                <span style={styles.csLabel}>Best hold</span>
-                <span style={{ ...styles.csValue, color: "#78d6b5" }}>
-                  {fmtTime(Math.max(...roundRetentions))}
-                </span>
+            <div style={styles.configBlock}>
+              <div style={styles.configBlockHead}>
+                <span style={styles.configLabel}>Voice</span>
               </div>
-            )}
+              <div style={styles.segmented}>
+                {VOICE_SOURCES.map(([id, label]) => (
+                  <button
+                    key={id}
+                    style={{
+                      ...styles.segmentBtn,
+                      ...(voiceSource === id ? styles.segmentBtnActive : null),
+                    }}
+                    onClick={() => onChange({ voiceSource: id })}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {voiceSource === "speech" && !speechSupported && (
+                <p style={styles.backupNote}>
+                  This browser can't synthesise speech; load recorded clips instead.
+                </p>
+              )}
+              {voiceSource === "clips" && (
+                <>
+                  <p style={styles.backupNote}>
+                    {clipCount > 0
+                      ? `${clipCount} clip${clipCount === 1 ? "" : "s"} stored on this device. `
+                      : ""}
+                    Name each file after its prompt: round-1, breaths-10, final-breaths,
+                    last-breath, half-minute, minute-1, breathe-in, count-3, let-go, round-complete,
+                    session-complete. Prompts without a clip are spoken.
+                  </p>
+                  <div style={styles.historyActions}>
+                    <button style={styles.smallBtn} onClick={() => fileRef.current.click()}>
+                      Load clips…
+                    </button>
+                    {clipCount > 0 && (
+                      <button style={styles.smallBtnMuted} onClick={removeClips}>
+                        Remove clips
+                      </button>
+                    )}
+                  </div>
+                  <input
+                    ref={fileRef}
+                    type="file"
+                    accept="audio/*"
+                    multiple
+                    style={{ display: "none" }}
+                    onChange={onFiles}
+                  />
+                  {clipNotice && <p style={styles.backupNote}>{clipNotice}</p>}
+                  {clipError && <p style={styles.backupError}>{clipError}</p>}
+                </>
+              )}
+            </div>
+            <div style={styles.historyActions}>
+              <button style={styles.smallBtn} onClick={preview}>
+                Preview voice
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Reminder Settings ───────────────────────────────────────────
+function ReminderSettings({ reminders, onChange, onBack }) {
+  const { enabled, days, times } = reminders;
+  const [error, setError] = useState(null);
+  const [asking, setAsking] = useState(false);
+  const supported = remindersSupported();
+
+  const toggle = async () => {
+    setError(null);
+    if (enabled) {
+      disableReminderDelivery();
+      onChange({ enabled: false });
+      return;
+    }
+    setAsking(true);
+    const problem = await enableReminderDelivery();
+    setAsking(false);
+    if (problem) setError(problem);
+    else onChange({ enabled: true });
+  };
+
+  const setTime = (index, value) => {
+    if (!value) return;
+    onChange({ times: times.map((t, i) => (i === index ? value : t)) });
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.screenHeader}>
+        <button style={styles.backBtn} onClick={onBack}>
+          ← Back
+        </button>
+        <h2 style={styles.screenTitle}>Reminders</h2>
+      </div>
+
+      <div style={styles.configSection}>
+        <div style={styles.configRow}>
+          <div style={styles.configLabelStack}>
+            <span style={styles.configLabel}>Remind me</span>
+            <span style={styles.configHint}>
+              {supported
+                ? "Skipped on days you've already practised"
+                : "This browser can't show reminders"}
+            </span>
           </div>
+          <button
+            style={{
+              ...styles.toggle,
+              ...(enabled ? styles.toggleOn : null),
+              ...(supported ? null : styles.toggleDisabled),
+            }}
+            onClick={toggle}
+            disabled={!supported || asking}
+            role="switch"
+            aria-checked={enabled}
+          >
+            <span style={{ ...styles.toggleKnob, ...(enabled ? styles.toggleKnobOn : null) }} />
+          </button>
+        </div>
+        {error && <p style={styles.backupError}>{error}</p>}
+        {supported && (
+          <p style={styles.backupNote}>
+            {backgroundRemindersAvailable()
+              ? "With the app open in a tab, even in the background, reminders come at the set time. " +
+                "Closed, they're best effort: the browser wakes the app when it chooses, so " +
+                "one can come up to two hours late, or not at all."
+              : "Reminders only come while the app is open in a tab, even in the background. " +
+                "This browser can't wake the app for them once it's closed."}
+          </p>
+        )}
 
-          <div style={{ ...styles.statsBanner, marginTop: 24 }}>
-            <div style={styles.statItem}>
-              <span style={styles.statNumber}>{calcStreak(appData.sessions)}</span>
-              <span style={styles.statLabel}>day streak</span>
+        {enabled && (
+          <div style={styles.configBlock}>
+            <div style={styles.configBlockHead}>
+              <span style={styles.configLabel}>Days</span>
+              <span style={styles.configHint}>Tapping one opens your last preset</span>
             </div>
-            <div style={styles.statDivider} />
-            <div style={styles.statItem}>
-              <span style={styles.statNumber}>
-                {appData.sessions.filter((s) => s.date === todayStr()).length}
-              </span>
-              <span style={styles.statLabel}>today</span>
+            <div style={styles.segmented}>
+              {Object.entries(REMINDER_DAYS).map(([id, { label }]) => (
+                <button
+                  key={id}
+                  style={{
+                    ...styles.segmentBtn,
+                    ...(days === id ? styles.segmentBtnActive : null),
+                  }}
+                  onClick={() => onChange({ days: id })}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
+            {times.map((time, i) => (
+              <div key={i} style={styles.subConfigRow}>
+                <input
+                  style={styles.timeInput}
+                  type="time"
+                  value={time}
+                  onChange={(e) => setTime(i, e.target.value)}
+                  aria-label={`Reminder ${i + 1} time`}
+                />
+                {times.length > 1 && (
+                  <button
+                    style={styles.smallBtnMuted}
+                    onClick={() => onChange({ times: times.filter((_, j) => j !== i) })}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+            {times.length < MAX_REMINDER_TIMES && (
+              <div style={styles.historyActions}>
+                <button
+                  style={styles.smallBtn}
+                  onClick={() => onChange({ times: [...times, times[times.length - 1]] })}
+                >
+                  Add a time
+                </button>
+              </div>
+            )}
           </div>
+        )}
+      </div>
+    </div>
+  );
+}
 
-          <button style={{ ...styles.startBtn, marginTop: 28 }} onClick={resetToSetup}>
-            Done
-          </button>
-        </div>
-      )}
+// ─── Backup (export / import) ────────────────────────────────────
+const downloadFile = (name, type, content) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
 
-      {/* Cancel button during active session */}
-      {isActiveSession && (
-        <button style={styles.cancelBtn} onClick={() => setShowQuitConfirm(true)}>
-          ✕
+function DataBackup({ sessions, onImport, onBack }) {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const fileRef = useRef(null);
+
+  const onFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    setNotice(null);
+    try {
+      const incoming = parseBackup(await file.text(), file.name);
+      setPreview({ fileName: file.name, ...planImport(sessions, incoming) });
+    } catch (err) {
+      setPreview(null);
+      setError(err.message);
+    }
+  };
+
+  const commit = () => {
+    onImport(preview.added);
+    setNotice(`Imported ${preview.added.length} session${preview.added.length === 1 ? "" : "s"}.`);
+    setPreview(null);
+  };
+
+  const stamp = todayStr();
+  const addedDates = preview ? preview.added.map((s) => s.date).sort() : [];
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.screenHeader}>
+        <button style={styles.backBtn} onClick={onBack}>
+          ← Back
         </button>
-      )}
+        <h2 style={styles.screenTitle}>Backup</h2>
+      </div>
 
-      {isActiveSession && (
-        <div
-          style={{
-            ...styles.volumeDock,
-            ...(showVolumeControl ? styles.volumeDockOpen : null),
-          }}
-        >
+      <div style={styles.todaySection}>
+        <h3 style={styles.todayTitle}>Export</h3>
+        <p style={styles.backupNote}>
+          {sessions.length} session{sessions.length === 1 ? "" : "s"} stored on this device.
+        </p>
+        <div style={styles.historyActions}>
           <button
-            style={styles.volumeHandle}
-            onClick={() => setShowVolumeControl((v) => !v)}
-            aria-label={showVolumeControl ? "Hide breath volume" : "Show breath volume"}
+            style={styles.smallBtn}
+            disabled={sessions.length === 0}
+            onClick={() =>
+              downloadFile(
+                `breathe-backup-${stamp}.json`,
+                "application/json",
+                sessionsToJSON(sessions),
+              )
+            }
           >
-            <span style={styles.volumeHandleText}>breath sound</span>
-            <span style={styles.volumeHandleValue}>{Math.round(breathVolume * 100)}%</span>
+            JSON backup
           </button>
-          <div
-            style={{
-              ...styles.volumePanel,
-              ...(showVolumeControl ? styles.volumePanelOpen : styles.volumePanelClosed),
-            }}
+          <button
+            style={styles.smallBtnMuted}
+            disabled={sessions.length === 0}
+            onClick={() =>
+              downloadFile(`breathe-rounds-${stamp}.csv`, "text/csv", sessionsToCSV(sessions))
+            }
           >
-            <input
-              style={styles.volumeSlider}
-              type="range"
-              min="0.25"
-              max="2.4"
-              step="0.05"
-              value={breathVolume}
-              onChange={(e) => setBreathVolume(Number(e.target.value))}
-              aria-label="Breath sound level"
-            />
-          </div>
+            CSV (one row per round)
+          </button>
         </div>
-      )}
+      </div>
 
-      {/* Quit confirmation overlay */}
-      {showQuitConfirm && (
-        <div style={styles.quitOverlay}>
-          <div style={styles.quitCard}>
-            <p style={styles.quitTitle}>Quit session?</p>
-            <p style={styles.quitSub}>Your progress won't be saved.</p>
-            <div style={styles.quitBtns}>
-              <button style={styles.quitConfirmBtn} onClick={resetToSetup}>
-                Quit
+      <div style={styles.todaySection}>
+        <h3 style={styles.todayTitle}>Import</h3>
+        <p style={styles.backupNote}>
+          Sessions already on this device are kept; matching ones in the file are skipped.
+        </p>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          style={{ display: "none" }}
+          onChange={onFile}
+        />
+        <div style={styles.historyActions}>
+          <button
+            style={styles.smallBtn}
+            onClick={() => fileRef.current && fileRef.current.click()}
+          >
+            Choose file
+          </button>
+        </div>
+        {error && <p style={styles.backupError}>{error}</p>}
+        {notice && <p style={styles.backupNote}>{notice}</p>}
+
+        {preview && (
+          <div style={{ ...styles.sessionCard, marginTop: 16 }}>
+            <p style={styles.sessionCardLabel}>{preview.fileName}</p>
+            <div style={styles.csRow}>
+              <span style={styles.csLabel}>New sessions</span>
+              <span style={styles.csValue}>{preview.added.length}</span>
+            </div>
+            {addedDates.length > 0 && (
+              <div style={styles.csRow}>
+                <span style={styles.csLabel}>Covering</span>
+                <span style={styles.csValue}>
+                  {fmtDay(addedDates[0])} – {fmtDay(addedDates[addedDates.length - 1])}
+                </span>
+              </div>
+            )}
+            <div style={styles.csRow}>
+              <span style={styles.csLabel}>Already here</span>
+              <span style={styles.csValue}>{preview.duplicates}</span>
+            </div>
+            {preview.invalid > 0 && (
+              <div style={styles.csRow}>
+                <span style={styles.csLabel}>Unreadable, skipped</span>
+                <span style={styles.csValue}>{preview.invalid}</span>
+              </div>
+            )}
+            <div style={styles.historyActions}>
+              <button
+                style={styles.smallBtn}
+                disabled={preview.added.length === 0}
+                onClick={commit}
+              >
+                Add {preview.added.length} session{preview.added.length === 1 ? "" : "s"}
               </button>
-              <button style={styles.quitCancelBtn} onClick={() => setShowQuitConfirm(false)}>
-                Keep going
+              <button style={styles.smallBtnMuted} onClick={() => setPreview(null)}>
+                Cancel
               </button>
             </div>
           </div>
-        </div>
-      )}
-
-      <style>{`
-        @keyframes pulse-ring {
-          0% { transform: scale(0.95); opacity: 0.3; }
-          50% { transform: scale(1.05); opacity: 0.15; }
-          100% { transform: scale(0.95); opacity: 0.3; }
-        }
-        * { box-sizing: border-box; margin: 0; padding: 0; }
-      `}</style>
+        )}
+      </div>
     </div>
   );
 }
@@ -921,13 +5311,57 @@ const styles = {
     position: "relative",
     overflow: "hidden",
   },
-  noiseOverlay: {
-    position: "fixed",
-    inset: 0,
-    opacity: 0.03,
-    backgroundImage: `url("data:image/svg+xml,%3Csvg viewBox='0 0 256 256' xmlns='http://www.w3.org/2000/svg'%3E%3Cfilter id='n'%3E%3CfeTurbulence type='fractalNoise' baseFrequency='0.9' numOctaves='4' stitchTiles='stitch'/%3E%3C/filter%3E%3Crect width='100%25' height='100%25' filter='url(%23n)'/%3E%3C/svg%3E")`,
-    pointerEvents: "none",
-    zIndex: 0,
+  noiseOverlay: {
+    position: "fixed",
+    inset: 0,
+    opacity: 0.03,
+    backgroundImage: `url("data:image/svg+xml,%3Csvg viewBox='0 0 256 256' xmlns='http://www.w3.org/2000/svg'%3E%3Cfilter id='n'%3E%3CfeTurbulence type='fractalNoise' baseFrequency='0.9' numOctaves='4' stitchTiles='stitch'/%3E%3C/filter%3E%3Crect width='100%25' height='100%25' filter='url(%23n)'/%3E%3C/svg%3E")`,
+    pointerEvents: "none",
+    zIndex: 0,
+  },
+  updateBanner: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 12,
+    padding: "10px 10px 10px 16px",
+    marginBottom: 16,
+    fontSize: 13,
+    color: "#cbd5e1",
+    background: "rgba(120,200,255,0.06)",
+    border: "1px solid rgba(120,200,255,0.18)",
+    borderRadius: 14,
+  },
+  storageWarning: {
+    position: "fixed",
+    top: 12,
+    left: "50%",
+    transform: "translateX(-50%)",
+    zIndex: 30,
+    width: "calc(100% - 24px)",
+    maxWidth: 420,
+    display: "flex",
+    alignItems: "center",
+    gap: 12,
+    padding: "12px 14px",
+    fontSize: 13,
+    lineHeight: 1.4,
+    color: "#fde2c4",
+    background: "rgba(120,60,20,0.9)",
+    border: "1px solid rgba(251,191,106,0.35)",
+    borderRadius: 12,
+    backdropFilter: "blur(8px)",
+  },
+  storageWarningDismiss: {
+    flexShrink: 0,
+    padding: "4px 10px",
+    fontSize: 12,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#fde2c4",
+    background: "rgba(255,255,255,0.1)",
+    border: "1px solid rgba(255,255,255,0.2)",
+    borderRadius: 8,
+    cursor: "pointer",
   },
   container: {
     position: "relative",
@@ -972,7 +5406,9 @@ const styles = {
     display: "flex",
     alignItems: "center",
     justifyContent: "center",
+    flexWrap: "wrap",
     gap: 20,
+    rowGap: 14,
     padding: "18px 20px",
     background: "rgba(255,255,255,0.04)",
     borderRadius: 16,
@@ -987,6 +5423,17 @@ const styles = {
     lineHeight: 1.1,
   },
   statLabel: { fontSize: 11, color: "#64748b", letterSpacing: "0.08em", textTransform: "uppercase" },
+  statSub: { fontSize: 11, color: "#475569" },
+  // The weekly goal gets a row of its own under the counts
+  statGoal: { flexBasis: "100%", display: "flex", alignItems: "center", gap: 10 },
+  goalTrack: {
+    flex: 1,
+    height: 3,
+    borderRadius: 2,
+    background: "rgba(255,255,255,0.08)",
+    overflow: "hidden",
+  },
+  goalFill: { height: "100%", borderRadius: 2, background: "#78d6b5" },
   statDivider: { width: 1, height: 32, background: "rgba(255,255,255,0.08)" },
   configSection: {
     display: "flex",
@@ -1004,6 +5451,120 @@ const styles = {
     border: "1px solid rgba(255,255,255,0.06)",
   },
   configLabel: { fontSize: 15, color: "#cbd5e1", fontWeight: 500 },
+  configHint: { fontSize: 13, color: "#64748b" },
+  configLabelStack: { display: "flex", flexDirection: "column", gap: 2 },
+  configBlock: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 12,
+    padding: "14px 18px",
+    background: "rgba(255,255,255,0.04)",
+    borderRadius: 14,
+    border: "1px solid rgba(255,255,255,0.06)",
+  },
+  configBlockHead: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "baseline",
+  },
+  subConfigRow: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  stepBtnSmall: {
+    width: 28,
+    height: 28,
+    borderRadius: "50%",
+    border: "1px solid rgba(255,255,255,0.12)",
+    background: "rgba(255,255,255,0.06)",
+    color: "#e2e8f0",
+    fontSize: 16,
+    cursor: "pointer",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    lineHeight: 1,
+    fontWeight: 300,
+  },
+  stepValueSmall: {
+    fontFamily: "'Instrument Serif', serif",
+    fontSize: 18,
+    color: "#f1f5f9",
+    minWidth: 44,
+    textAlign: "center",
+  },
+  toggle: {
+    position: "relative",
+    width: 44,
+    height: 26,
+    padding: 0,
+    borderRadius: 13,
+    border: "1px solid rgba(255,255,255,0.12)",
+    background: "rgba(255,255,255,0.06)",
+    cursor: "pointer",
+    transition: "background 200ms ease",
+  },
+  toggleOn: {
+    background: "rgba(120,200,255,0.35)",
+    border: "1px solid rgba(120,200,255,0.45)",
+  },
+  toggleKnob: {
+    position: "absolute",
+    top: 2,
+    left: 2,
+    width: 20,
+    height: 20,
+    borderRadius: "50%",
+    background: "#cbd5e1",
+    transition: "transform 200ms ease",
+  },
+  toggleKnobOn: { transform: "translateX(18px)", background: "#f1f5f9" },
+  toggleDisabled: { opacity: 0.4, cursor: "default" },
+  targetMet: { color: "#78d6b5" },
+  segmented: {
+    display: "flex",
+    gap: 4,
+    padding: 3,
+    background: "rgba(0,0,0,0.2)",
+    borderRadius: 10,
+  },
+  segmentBtn: {
+    flex: 1,
+    padding: "8px 0",
+    fontSize: 13,
+    fontWeight: 500,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#94a3b8",
+    background: "transparent",
+    border: "1px solid transparent",
+    borderRadius: 8,
+    cursor: "pointer",
+  },
+  segmentBtnActive: {
+    color: "#f1f5f9",
+    background: "rgba(120,200,255,0.14)",
+    border: "1px solid rgba(120,200,255,0.25)",
+  },
+  packOption: {
+    flex: 1,
+    marginRight: 8,
+    padding: "9px 12px",
+    fontSize: 14,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#94a3b8",
+    textAlign: "left",
+    background: "rgba(0,0,0,0.2)",
+    border: "1px solid transparent",
+    borderRadius: 10,
+    cursor: "pointer",
+  },
+  packOptionActive: {
+    color: "#f1f5f9",
+    background: "rgba(120,200,255,0.14)",
+    border: "1px solid rgba(120,200,255,0.25)",
+  },
+  packFileName: { fontSize: 13, color: "#cbd5e1", wordBreak: "break-all" },
   stepper: { display: "flex", alignItems: "center", gap: 14 },
   stepBtn: {
     width: 36,
@@ -1042,6 +5603,264 @@ const styles = {
     boxShadow: "0 4px 24px rgba(120,200,255,0.2)",
   },
   todaySection: { marginTop: 32 },
+  presetSection: { display: "flex", flexDirection: "column", gap: 8, marginBottom: 24 },
+  presetRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    padding: "4px 14px 4px 4px",
+    background: "rgba(255,255,255,0.04)",
+    borderRadius: 14,
+    border: "1px solid rgba(255,255,255,0.06)",
+  },
+  presetStart: {
+    flex: 1,
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "flex-start",
+    gap: 2,
+    padding: "10px 14px",
+    fontFamily: "'DM Sans', sans-serif",
+    background: "none",
+    border: "none",
+    cursor: "pointer",
+    textAlign: "left",
+  },
+  presetName: { fontSize: 15, color: "#f1f5f9", fontWeight: 500 },
+  presetPlay: { fontSize: 12, color: "#78c8ff" },
+  presetTools: { display: "flex", gap: 4 },
+  presetTool: {
+    width: 30,
+    height: 30,
+    borderRadius: 8,
+    border: "1px solid rgba(255,255,255,0.1)",
+    background: "rgba(255,255,255,0.05)",
+    color: "#cbd5e1",
+    fontSize: 13,
+    cursor: "pointer",
+  },
+  presetAdd: {
+    padding: "10px 14px",
+    fontSize: 13,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#64748b",
+    background: "transparent",
+    border: "1px dashed rgba(255,255,255,0.12)",
+    borderRadius: 14,
+    cursor: "pointer",
+    textAlign: "left",
+  },
+  presetNameForm: { display: "flex", gap: 6, alignItems: "center" },
+  presetNameInput: {
+    flex: 1,
+    minWidth: 0,
+    padding: "9px 12px",
+    fontSize: 14,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#f1f5f9",
+    background: "rgba(0,0,0,0.25)",
+    border: "1px solid rgba(255,255,255,0.12)",
+    borderRadius: 10,
+  },
+  navRow: {
+    display: "flex",
+    flexWrap: "wrap",
+    justifyContent: "center",
+    gap: 8,
+    marginTop: -16,
+    marginBottom: 24,
+  },
+  navBtn: {
+    padding: "6px 14px",
+    fontSize: 12,
+    fontWeight: 500,
+    fontFamily: "'DM Sans', sans-serif",
+    letterSpacing: "0.08em",
+    textTransform: "uppercase",
+    color: "#94a3b8",
+    background: "transparent",
+    border: "1px solid rgba(255,255,255,0.08)",
+    borderRadius: 20,
+    cursor: "pointer",
+  },
+  screenHeader: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "flex-start",
+    gap: 12,
+    marginBottom: 8,
+  },
+  screenTitle: {
+    fontFamily: "'Instrument Serif', serif",
+    fontSize: 40,
+    fontWeight: 400,
+    color: "#f1f5f9",
+    lineHeight: 1,
+  },
+  backBtn: {
+    padding: 0,
+    fontSize: 13,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#64748b",
+    background: "none",
+    border: "none",
+    cursor: "pointer",
+  },
+  emptyNote: { fontSize: 14, color: "#64748b", marginTop: 32 },
+  historyToggle: {
+    width: "100%",
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: 0,
+    fontFamily: "'DM Sans', sans-serif",
+    background: "none",
+    border: "none",
+    cursor: "pointer",
+    textAlign: "left",
+  },
+  historyDetail: {
+    marginTop: 10,
+    paddingTop: 6,
+    borderTop: "1px solid rgba(255,255,255,0.06)",
+  },
+  historyActions: { display: "flex", gap: 8, marginTop: 8 },
+  journal: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 12,
+    marginTop: 20,
+    padding: "16px 18px",
+    background: "rgba(255,255,255,0.04)",
+    borderRadius: 16,
+    border: "1px solid rgba(255,255,255,0.06)",
+  },
+  ratingRow: { display: "flex", gap: 4 },
+  ratingBtn: {
+    width: 30,
+    height: 30,
+    fontSize: 13,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#94a3b8",
+    background: "rgba(255,255,255,0.04)",
+    border: "1px solid rgba(255,255,255,0.08)",
+    borderRadius: 8,
+    cursor: "pointer",
+  },
+  tagRow: { display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 4 },
+  tagChip: {
+    padding: "5px 11px",
+    fontSize: 12,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#94a3b8",
+    background: "rgba(255,255,255,0.04)",
+    border: "1px solid rgba(255,255,255,0.1)",
+    borderRadius: 20,
+    cursor: "pointer",
+  },
+  tagChipOn: {
+    color: "#78c8ff",
+    background: "rgba(120,200,255,0.12)",
+    border: "1px solid rgba(120,200,255,0.35)",
+  },
+  tagDiff: { fontSize: 12, color: "#64748b", fontWeight: 400 },
+  journalNote: {
+    width: "100%",
+    padding: "9px 12px",
+    fontSize: 14,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#f1f5f9",
+    background: "rgba(0,0,0,0.25)",
+    border: "1px solid rgba(255,255,255,0.12)",
+    borderRadius: 10,
+    resize: "vertical",
+  },
+  journalSummary: {
+    marginTop: 8,
+    paddingTop: 6,
+    borderTop: "1px solid rgba(255,255,255,0.06)",
+  },
+  journalNoteText: { fontSize: 13, color: "#94a3b8", lineHeight: 1.5, marginTop: 8 },
+  holdInput: {
+    width: 72,
+    padding: "4px 8px",
+    fontSize: 15,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#f1f5f9",
+    background: "rgba(0,0,0,0.25)",
+    border: "1px solid rgba(255,255,255,0.12)",
+    borderRadius: 8,
+    textAlign: "right",
+  },
+  timeInput: {
+    width: 120,
+    padding: "6px 10px",
+    fontSize: 15,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#f1f5f9",
+    background: "rgba(0,0,0,0.25)",
+    border: "1px solid rgba(255,255,255,0.12)",
+    borderRadius: 8,
+    colorScheme: "dark",
+  },
+  smallBtn: {
+    padding: "7px 14px",
+    fontSize: 13,
+    fontWeight: 600,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#78c8ff",
+    background: "rgba(120,200,255,0.1)",
+    border: "1px solid rgba(120,200,255,0.25)",
+    borderRadius: 10,
+    cursor: "pointer",
+  },
+  smallBtnMuted: {
+    padding: "7px 14px",
+    fontSize: 13,
+    fontWeight: 500,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#94a3b8",
+    background: "rgba(255,255,255,0.04)",
+    border: "1px solid rgba(255,255,255,0.08)",
+    borderRadius: 10,
+    cursor: "pointer",
+  },
+  smallBtnDanger: {
+    padding: "7px 14px",
+    fontSize: 13,
+    fontWeight: 600,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#f87171",
+    background: "rgba(248,113,113,0.1)",
+    border: "1px solid rgba(248,113,113,0.25)",
+    borderRadius: 10,
+    cursor: "pointer",
+  },
+  chartCard: {
+    marginTop: 16,
+    padding: "16px 14px 12px",
+    background: "rgba(255,255,255,0.03)",
+    borderRadius: 16,
+    border: "1px solid rgba(255,255,255,0.05)",
+  },
+  chart: { width: "100%", height: "auto", display: "block" },
+  chartGrid: { stroke: "rgba(255,255,255,0.06)", strokeWidth: 1 },
+  chartLabel: { fontSize: 10, fill: "#64748b", fontFamily: "'DM Sans', sans-serif" },
+  chartLegend: {
+    display: "flex",
+    gap: 14,
+    justifyContent: "center",
+    marginTop: 6,
+    fontSize: 11,
+  },
+  backupNote: { fontSize: 13, color: "#64748b", lineHeight: 1.5, marginBottom: 10 },
+  backupError: { fontSize: 13, color: "#f87171", marginTop: 10 },
+  pager: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginTop: 24,
+  },
   todayTitle: {
     fontSize: 13,
     letterSpacing: "0.12em",
@@ -1063,6 +5882,16 @@ const styles = {
     alignItems: "center",
   },
   sessionCardLabel: { fontSize: 14, color: "#94a3b8" },
+  partialTag: {
+    marginLeft: 8,
+    padding: "1px 6px",
+    fontSize: 10,
+    letterSpacing: "0.06em",
+    textTransform: "uppercase",
+    color: "#fbbf24",
+    border: "1px solid rgba(251,191,36,0.3)",
+    borderRadius: 6,
+  },
   sessionCardTime: { fontSize: 14, color: "#78c8ff", fontWeight: 500 },
   retentionRow: { display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap" },
   retentionPill: {
@@ -1191,6 +6020,46 @@ const styles = {
     alignItems: "center",
     justifyContent: "center",
   },
+  eyesClosedDim: {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(0,0,0,0.9)",
+    pointerEvents: "none",
+    zIndex: 5,
+  },
+  fullScreenTap: {
+    position: "fixed",
+    inset: 0,
+    zIndex: 6,
+    background: "transparent",
+    border: "none",
+    cursor: "pointer",
+  },
+  autoAdvanceNote: { fontSize: 13, color: "#64748b", marginTop: 14 },
+  pauseBtn: {
+    position: "fixed",
+    top: 20,
+    left: 20,
+    width: 40,
+    height: 40,
+    borderRadius: "50%",
+    border: "1px solid rgba(255,255,255,0.1)",
+    background: "rgba(0,0,0,0.3)",
+    color: "#64748b",
+    fontSize: 11,
+    letterSpacing: "-0.1em",
+    cursor: "pointer",
+    zIndex: 10,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  resumeCountdown: {
+    fontFamily: "'Instrument Serif', serif",
+    fontSize: 96,
+    color: "#f1f5f9",
+    lineHeight: 1,
+  },
   volumeDock: {
     position: "fixed",
     left: "50%",
@@ -1232,7 +6101,7 @@ const styles = {
   },
   volumePanel: {
     marginTop: 8,
-    width: 210,
+    width: 260,
     padding: "8px 14px 10px",
     borderRadius: 14,
     border: "1px solid rgba(255,255,255,0.12)",
@@ -1257,6 +6126,24 @@ const styles = {
     accentColor: "#91c6ff",
     cursor: "pointer",
   },
+  mixer: { display: "flex", flexDirection: "column", gap: 6 },
+  mixerRow: { display: "flex", alignItems: "center", justifyContent: "space-between", gap: 10 },
+  mixerLabel: { fontSize: 12, color: "#94a3b8", minWidth: 56 },
+  mixerValue: {
+    fontFamily: "'Instrument Serif', serif",
+    fontSize: 14,
+    color: "#d5e4ff",
+    minWidth: 38,
+    textAlign: "right",
+  },
+  srOnly: {
+    position: "absolute",
+    width: 1,
+    height: 1,
+    overflow: "hidden",
+    clip: "rect(0 0 0 0)",
+    whiteSpace: "nowrap",
+  },
   quitOverlay: {
     position: "fixed",
     inset: 0,
@@ -1304,6 +6191,17 @@ const styles = {
     borderRadius: 12,
     cursor: "pointer",
   },
+  quitSaveBtn: {
+    padding: "13px 0",
+    fontSize: 15,
+    fontWeight: 600,
+    fontFamily: "'DM Sans', sans-serif",
+    color: "#78d6b5",
+    background: "rgba(120,214,181,0.1)",
+    border: "1px solid rgba(120,214,181,0.25)",
+    borderRadius: 12,
+    cursor: "pointer",
+  },
   quitCancelBtn: {
     padding: "13px 0",
     fontSize: 15,
@@ -0,0 +1,252 @@
+import { zonedDateStr } from "./calendar.js";
+import { JOURNAL_RATINGS, NOTE_MAX_LENGTH, RATING_SCALE, normalizeTag } from "./journal.js";
+
+// ─── Backup (export / import) ────────────────────────────────────
+const BACKUP_FORMAT = "whm-breathing-backup";
+const BACKUP_VERSION = 1;
+const CSV_COLUMNS = [
+  "timestamp",
+  "date",
+  "tz",
+  "rounds",
+  "breaths_per_round",
+  "duration_s",
+  "partial",
+  "note",
+  "mood_before",
+  "mood_after",
+  "energy_before",
+  "energy_after",
+  "tags",
+  "round",
+  "retention_s",
+];
+// The first CSV export's columns; files without the later ones still import
+const CSV_REQUIRED = [
+  "timestamp",
+  "date",
+  "rounds",
+  "breaths_per_round",
+  "duration_s",
+  "round",
+  "retention_s",
+];
+
+const isCount = (v) => Number.isFinite(v) && v >= 0;
+const isObject = (v) => v !== null && typeof v === "object";
+
+const isValidSession = (s) =>
+  isObject(s) &&
+  /^\d{4}-\d{2}-\d{2}$/.test(s.date) &&
+  Number.isFinite(s.timestamp) &&
+  isCount(s.rounds) &&
+  isCount(s.breathsPerRound) &&
+  isCount(s.duration) &&
+  Array.isArray(s.retentions) &&
+  s.retentions.every(isCount);
+
+const isMaybeCount = (v) => v === undefined || v === null || isCount(v);
+const isMaybeRating = (v) => v === undefined || v === null || RATING_SCALE.includes(v);
+
+const isProtocolRound = (r) =>
+  isObject(r) &&
+  isCount(r.breaths) &&
+  ["inhaleMs", "exhaleMs", "recoverySeconds", "retentionTarget", "retentionCap"].every((key) =>
+    isMaybeCount(r[key]),
+  );
+
+const isRatingPair = (v) => isObject(v) && isMaybeRating(v.before) && isMaybeRating(v.after);
+
+// The shape each optional field must have. One that doesn't match is dropped
+// on import, so a damaged journal or protocol can't take the session with it
+// or break the screens that render it later.
+const OPTIONAL_FIELDS = {
+  tz: (v) => typeof v === "string",
+  partial: (v) => typeof v === "boolean",
+  note: (v) => typeof v === "string",
+  tags: (v) => Array.isArray(v) && v.every((t) => typeof t === "string"),
+  protocol: (v) => Array.isArray(v) && v.every(isProtocolRound),
+  ...Object.fromEntries(JOURNAL_RATINGS.map(([key]) => [key, isRatingPair])),
+};
+
+const dropMalformedFields = (s) => {
+  if (!isObject(s)) return s;
+  const out = { ...s };
+  Object.entries(OPTIONAL_FIELDS).forEach(([key, isValid]) => {
+    if (key in out && !isValid(out[key])) delete out[key];
+  });
+  return out;
+};
+
+export const sessionsToJSON = (sessions) =>
+  JSON.stringify(
+    {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      sessions,
+    },
+    null,
+    2,
+  );
+
+// Quotes a field only when it holds a comma, quote or line break
+const csvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Splits CSV text into rows of fields; quoted fields may span lines
+const csvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"') field += text[i++];
+      else quoted = false;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      rows.push([...row, field]);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  rows.push([...row, field]);
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+// Tags share one field, separated by semicolons
+const journalCells = (s) => {
+  const rating = (r, when) => (r && r[when]) || "";
+  return [
+    s.note || "",
+    rating(s.mood, "before"),
+    rating(s.mood, "after"),
+    rating(s.energy, "before"),
+    rating(s.energy, "after"),
+    (s.tags || []).join("; "),
+  ];
+};
+
+// One row per round; sessions without holds still get a row so none go missing
+export const sessionsToCSV = (sessions) => {
+  const rows = sessions.flatMap((s) => {
+    const base = [
+      s.timestamp,
+      s.date,
+      s.tz || "",
+      s.rounds,
+      s.breathsPerRound,
+      s.duration,
+      s.partial ? 1 : 0,
+      ...journalCells(s),
+    ];
+    const holds = s.retentions && s.retentions.length ? s.retentions : [null];
+    return holds.map((r, i) => [...base, r === null ? "" : i + 1, r === null ? "" : r]);
+  });
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvField).join(",")).join("\n");
+};
+
+// The journal repeats on every row of a session; it is read from the first
+const parseJournal = (cell) => {
+  const journal = {};
+  JOURNAL_RATINGS.forEach(([key]) => {
+    const rating = (when) => {
+      const value = Number(cell(`${key}_${when}`));
+      return RATING_SCALE.includes(value) ? value : null;
+    };
+    const before = rating("before");
+    const after = rating("after");
+    if (before !== null || after !== null) journal[key] = { before, after };
+  });
+  const note = cell("note").trim().slice(0, NOTE_MAX_LENGTH);
+  if (note) journal.note = note;
+  const tags = [...new Set(cell("tags").split(";").map(normalizeTag).filter(Boolean))];
+  if (tags.length) journal.tags = tags;
+  return journal;
+};
+
+// Columns are matched by name, so their order in the file does not matter.
+// A session with a bad round number or hold, or a round missing from the
+// middle, is passed on as unusable (null) rather than having its holds
+// shifted or made up.
+export const parseCSV = (text) => {
+  const [header, ...lines] = csvRows(text.trim());
+  const names = header ? header.map((name) => name.trim()) : [];
+  if (!CSV_REQUIRED.every((c) => names.includes(c))) throw new Error("Unrecognised CSV columns");
+  const byTimestamp = new Map();
+  const broken = new Set();
+  lines.forEach((cells) => {
+    const cell = (name) => cells[names.indexOf(name)] || "";
+    const ts = Number(cell("timestamp"));
+    if (!byTimestamp.has(ts)) {
+      byTimestamp.set(ts, {
+        date: cell("date"),
+        ...(cell("tz") ? { tz: cell("tz") } : null),
+        rounds: Number(cell("rounds")),
+        breathsPerRound: Number(cell("breaths_per_round")),
+        retentions: [],
+        duration: Number(cell("duration_s")),
+        timestamp: ts,
+        ...(cell("partial") === "1" ? { partial: true } : null),
+        ...parseJournal(cell),
+      });
+    }
+    const round = cell("round");
+    const hold = cell("retention_s");
+    if (round === "") return;
+    if (!/^[1-9]\d*$/.test(round) || !/^\d+(\.\d+)?$/.test(hold)) broken.add(ts);
+    else byTimestamp.get(ts).retentions[Number(round) - 1] = Number(hold);
+  });
+  const complete = (s) => Object.keys(s.retentions).length === s.retentions.length;
+  return [...byTimestamp].map(([ts, s]) => (broken.has(ts) || !complete(s) ? null : s));
+};
+
+export const parseBackup = (text, fileName) => {
+  if (/\.csv$/i.test(fileName)) return parseCSV(text);
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("File is not valid JSON");
+  }
+  if (data && data.format === BACKUP_FORMAT && data.version > BACKUP_VERSION) {
+    throw new Error("Backup was made by a newer version of the app");
+  }
+  // Plain `{ sessions }` blobs copied out of localStorage are accepted too
+  if (!data || !Array.isArray(data.sessions)) throw new Error("No sessions found in file");
+  return data.sessions;
+};
+
+// Backups from before local dates were dated in UTC, so every import is
+// re-dated from its timestamp: on the calendar it was recorded on if known
+const redateSession = (s) =>
+  s && Number.isFinite(s.timestamp) ? { ...s, date: zonedDateStr(s.timestamp, s.tz) } : s;
+
+// Splits parsed sessions into what is new, already present (same timestamp) or unusable
+export const planImport = (existing, incoming) => {
+  const seen = new Set(existing.map((s) => s.timestamp));
+  const plan = { added: [], duplicates: 0, invalid: 0 };
+  incoming
+    .map((s) => redateSession(dropMalformedFields(s)))
+    .forEach((s) => {
+      if (!isValidSession(s)) plan.invalid++;
+      else if (seen.has(s.timestamp)) plan.duplicates++;
+      else {
+        seen.add(s.timestamp);
+        plan.added.push(s);
+      }
+    });
+  return plan;
+};
@@ -0,0 +1,93 @@
+// ─── Breath Detection ────────────────────────────────────────────
+// The detector is pure and dependency-free: it takes frames of mono samples
+// with their time and reports breath onsets. The app feeds it from the live
+// microphone; `detectBreaths` replays a decoded recording through the very
+// same detector, so the two can't drift apart. Energy is measured after a
+// first-difference high-pass, which favours breath hiss over hum and rumble.
+export const BREATH_DETECTOR_DEFAULTS = {
+  // 0–1; higher fires closer to the noise floor
+  sensitivity: 0.5,
+  noiseFloor: 0.002,
+  // Sound has to stay up this long to count, and drop this long to re-arm
+  onsetS: 0.12,
+  releaseS: 0.2,
+  // Onsets closer together than this are one breath
+  refractoryS: 0.5,
+};
+const MIN_NOISE_FLOOR = 0.0005;
+
+export const frameEnergy = (frame) => {
+  let sum = 0;
+  for (let i = 1; i < frame.length; i++) {
+    const d = frame[i] - frame[i - 1];
+    sum += d * d;
+  }
+  return Math.sqrt(sum / Math.max(1, frame.length - 1));
+};
+
+// Sensitivity 0 needs six times the noise floor, 1 only one and a half
+export const detectionThreshold = (noiseFloor, sensitivity) => noiseFloor * (6 - 4.5 * sensitivity);
+
+export const createBreathDetector = (options = {}) => {
+  const { sensitivity, noiseFloor, onsetS, releaseS, refractoryS } = {
+    ...BREATH_DETECTOR_DEFAULTS,
+    ...options,
+  };
+  const threshold = detectionThreshold(Math.max(MIN_NOISE_FLOOR, noiseFloor), sensitivity);
+  let level = 0;
+  let active = false;
+  let aboveSince = null;
+  let belowSince = null;
+  let lastOnset = -Infinity;
+
+  return {
+    // `t` is the time (s) at the end of the frame; returns { at, level } on a new onset
+    push: (frame, t) => {
+      const energy = frameEnergy(frame);
+      level = level === 0 ? energy : level * 0.6 + energy * 0.4;
+      if (!active) {
+        if (level < threshold) {
+          aboveSince = null;
+          return null;
+        }
+        if (aboveSince === null) aboveSince = t;
+        if (t - aboveSince < onsetS) return null;
+        active = true;
+        belowSince = null;
+        if (aboveSince - lastOnset < refractoryS) return null;
+        lastOnset = aboveSince;
+        return { at: aboveSince, level };
+      }
+      // Hysteresis: a breath ends a little below where it started
+      if (level >= threshold * 0.7) {
+        belowSince = null;
+        return null;
+      }
+      if (belowSince === null) belowSince = t;
+      if (t - belowSince >= releaseS) {
+        active = false;
+        aboveSince = null;
+      }
+      return null;
+    },
+  };
+};
+
+// Runs a recorded buffer through a detector, frame by frame as the microphone
+// would deliver it; returns the onset times in seconds
+export const detectBreaths = (samples, sampleRate, options = {}, frameSize = 1024) => {
+  const detector = createBreathDetector(options);
+  const onsets = [];
+  for (let i = 0; i + frameSize <= samples.length; i += frameSize) {
+    const hit = detector.push(samples.subarray(i, i + frameSize), (i + frameSize) / sampleRate);
+    if (hit) onsets.push(hit.at);
+  }
+  return onsets;
+};
+
+// A high percentile of quiet-room frame energies, so one stray click can't set it
+export const measureNoiseFloor = (energies) => {
+  if (energies.length === 0) return BREATH_DETECTOR_DEFAULTS.noiseFloor;
+  const sorted = [...energies].sort((a, b) => a - b);
+  return Math.max(MIN_NOISE_FLOOR, sorted[Math.floor((sorted.length - 1) * 0.9)]);
+};
@@ -0,0 +1,91 @@
+// ─── Calendar ────────────────────────────────────────────────────
+// Session dates are "YYYY-MM-DD" on the user's own calendar, so an evening
+// session belongs to that evening wherever they are. Day numbers count whole
+// days from 1970-01-01 for gap arithmetic; they are the same everywhere.
+export const DAY_MS = 86400000;
+
+export const localDateStr = (ts = Date.now()) => {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+export const todayStr = () => localDateStr();
+
+export const localTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch {
+    return null;
+  }
+};
+
+// The date at `ts` on the calendar of `tz`, or of this device when the zone
+// is missing or unknown here
+export const zonedDateStr = (ts, tz) => {
+  if (!tz) return localDateStr(ts);
+  try {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).formatToParts(new Date(ts));
+    const part = (type) => parts.find((p) => p.type === type).value;
+    return `${part("year")}-${part("month")}-${part("day")}`;
+  } catch {
+    return localDateStr(ts);
+  }
+};
+
+export const dayNumber = (dateStr) => Math.round(Date.parse(dateStr) / DAY_MS);
+
+// Weeks start on Monday; day 0 was a Thursday
+const weekNumber = (day) => Math.floor((day + 3) / 7);
+
+// Sessions saved part-way through are always kept and listed in history;
+// the mode decides whether they also count toward stats and the streak
+export const PARTIAL_SESSION_MODES = {
+  count: { label: "Count", hint: "Partial sessions count like any other" },
+  streak: {
+    label: "Streak only",
+    hint: "They keep the streak going but stay out of counts and the weekly goal",
+  },
+  history: { label: "History only", hint: "They're listed here and nowhere else" },
+};
+
+export const countsForStats = (mode) => (s) => !s.partial || mode === "count";
+export const countsForStreak = (mode) => (s) => !s.partial || mode !== "history";
+
+export const STREAK_FREEZE_LIMITS = { min: 0, max: 3, step: 1 };
+export const WEEKLY_GOAL_LIMITS = { min: 0, max: 14, step: 1 };
+
+// Current and longest run of practice days. Up to `freezesPerWeek` missed
+// days in each week are rest days: they don't add to a run or break it.
+// Today never breaks a run, since it isn't over yet.
+export const calcStreaks = (sessions, freezesPerWeek = 0, todayDate = todayStr()) => {
+  const practiced = new Set(sessions.map((s) => dayNumber(s.date)));
+  if (practiced.size === 0) return { current: 0, longest: 0 };
+  const today = dayNumber(todayDate);
+  const last = Math.max(today, ...practiced);
+  const frozen = new Map();
+  let run = 0;
+  let longest = 0;
+  for (let day = Math.min(...practiced); day <= last; day++) {
+    if (practiced.has(day)) {
+      run++;
+      longest = Math.max(longest, run);
+    } else if (day !== today) {
+      const week = weekNumber(day);
+      const used = frozen.get(week) || 0;
+      if (run > 0 && used < freezesPerWeek) frozen.set(week, used + 1);
+      else run = 0;
+    }
+  }
+  return { current: run, longest };
+};
+
+export const sessionsThisWeek = (sessions, todayDate = todayStr()) => {
+  const week = weekNumber(dayNumber(todayDate));
+  return sessions.filter((s) => weekNumber(dayNumber(s.date)) === week).length;
+};
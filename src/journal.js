@@ -0,0 +1,13 @@
+// ─── Session Journal ─────────────────────────────────────────────
+// Optional notes on a finished session, stored on its record: `note`,
+// `mood` and `energy` as { before, after } ratings of 1–5, and `tags`.
+export const JOURNAL_RATINGS = [
+  ["mood", "Mood"],
+  ["energy", "Energy"],
+];
+export const RATING_SCALE = [1, 2, 3, 4, 5];
+export const TAG_MAX_LENGTH = 40;
+export const NOTE_MAX_LENGTH = 1000;
+
+export const normalizeTag = (tag) =>
+  tag.trim().replace(/\s+/g, " ").toLowerCase().slice(0, TAG_MAX_LENGTH);
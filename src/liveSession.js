@@ -0,0 +1,40 @@
+// ─── Session recovery ────────────────────────────────────────────
+// The live session is mirrored to localStorage at every phase change. It is
+// written synchronously, so it survives a reload or a tab eviction that an
+// IndexedDB write still in flight would not. Cleared when a session ends.
+// Next to the app data's own localStorage key
+const LIVE_SESSION_KEY = "whm_breathing_data_live";
+// Older than this, an interrupted session is stale and dropped unasked
+const LIVE_SESSION_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+export const saveLiveSession = (snapshot) => {
+  try {
+    localStorage.setItem(LIVE_SESSION_KEY, JSON.stringify(snapshot));
+  } catch {}
+};
+
+export const clearLiveSession = () => {
+  try {
+    localStorage.removeItem(LIVE_SESSION_KEY);
+  } catch {}
+};
+
+export const readLiveSession = (now = Date.now()) => {
+  let snapshot = null;
+  try {
+    snapshot = JSON.parse(localStorage.getItem(LIVE_SESSION_KEY));
+  } catch {}
+  const usable =
+    snapshot &&
+    Array.isArray(snapshot.plan) &&
+    snapshot.plan.length > 0 &&
+    Array.isArray(snapshot.retentions) &&
+    snapshot.retentions.every(Number.isFinite) &&
+    Number.isFinite(snapshot.sessionStart) &&
+    now - snapshot.savedAt < LIVE_SESSION_MAX_AGE_MS;
+  if (!usable) {
+    clearLiveSession();
+    return null;
+  }
+  return snapshot;
+};
@@ -1,5 +1,10 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import '@fontsource/dm-sans/300.css'
+import '@fontsource/dm-sans/300-italic.css'
+import '@fontsource/dm-sans/500.css'
+import '@fontsource/dm-sans/700.css'
+import '@fontsource/instrument-serif/400.css'
 import './index.css'
 import WimHofBreathing from './WimHofBreathing'
 
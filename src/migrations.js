@@ -0,0 +1,60 @@
+// ─── Schema migrations ───────────────────────────────────────────
+// Every stored blob carries a schema version and is migrated forward on load.
+// Migrations are frozen: they describe the data as it was at each version, so
+// they don't follow later changes to the app's defaults.
+import { localDateStr } from "./calendar.js";
+
+export const SCHEMA_VERSION = 5;
+
+// Mixer levels when the mixer was introduced in version 3
+const V3_DEFAULT_MIX = { muted: false, breath: 1, bells: 1, ticks: 1, voice: 1, ambient: 0.4 };
+const V5_DEFAULT_REMINDERS = { enabled: false, days: "daily", times: ["07:30"] };
+
+// MIGRATIONS[n] upgrades a version n - 1 blob to version n
+const MIGRATIONS = {
+  // 0 → 1: the original unversioned `{ sessions: [...] }` localStorage blob
+  1: (data) => ({ ...data, sessions: Array.isArray(data.sessions) ? data.sessions : [] }),
+  // 1 → 2: last-used settings and named presets
+  2: (data) => ({ ...data, settings: data.settings || null, presets: data.presets || [] }),
+  // 2 → 3: breath and ambient volume move from the settings into the mixer.
+  // Presets keep the levels they were saved with as a mixer override.
+  3: (data) => {
+    const strip = ({ breathVolume, ambientVolume, ...rest }) => rest;
+    const levels = ({ breathVolume = 1, ambientVolume = V3_DEFAULT_MIX.ambient }) => ({
+      breath: breathVolume,
+      ambient: ambientVolume,
+    });
+    const hasLevels = (s) => s && ("breathVolume" in s || "ambientVolume" in s);
+    return {
+      ...data,
+      settings: data.settings && strip(data.settings),
+      presets: data.presets.map((p) =>
+        hasLevels(p.settings)
+          ? { ...p, settings: strip(p.settings), mix: levels(p.settings) }
+          : { ...p, settings: strip(p.settings) },
+      ),
+      mixer: { ...V3_DEFAULT_MIX, ...levels(data.settings || {}) },
+    };
+  },
+  // 3 → 4: session dates were UTC; re-date them on this device's calendar
+  4: (data) => ({
+    ...data,
+    sessions: data.sessions.map((s) =>
+      Number.isFinite(s.timestamp) ? { ...s, date: localDateStr(s.timestamp) } : s,
+    ),
+  }),
+  // 4 → 5: reminder schedule, and the preset a reminder opens
+  5: (data) => ({
+    ...data,
+    reminders: data.reminders || V5_DEFAULT_REMINDERS,
+    lastPresetId: data.lastPresetId || null,
+  }),
+};
+
+export const migrate = (data) => {
+  let out = data;
+  for (let v = (data.version || 0) + 1; v <= SCHEMA_VERSION; v++) {
+    out = { ...MIGRATIONS[v](out), version: v };
+  }
+  return out;
+};
@@ -0,0 +1,28 @@
+// ─── Reminders ───────────────────────────────────────────────────
+// The schedule, shared by the page and the service worker. sw.js can't import
+// modules, so the build injects REMINDER_DAYS into it (see vite.config.js).
+
+// Weekday numbers as Date#getDay
+export const REMINDER_DAYS = {
+  daily: { label: "Every day", weekdays: [0, 1, 2, 3, 4, 5, 6] },
+  weekdays: { label: "Weekdays", weekdays: [1, 2, 3, 4, 5] },
+};
+export const DEFAULT_REMINDERS = { enabled: false, days: "daily", times: ["07:30"] };
+
+// The first reminder time after `from`, looking a week ahead
+export const nextReminderAt = (reminders, from = Date.now()) => {
+  const start = new Date(from);
+  const weekdays = (REMINDER_DAYS[reminders.days] || REMINDER_DAYS.daily).weekdays;
+  for (let i = 0; i <= 7; i++) {
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+    if (!weekdays.includes(day.getDay())) continue;
+    const times = reminders.times
+      .map((time) => {
+        const [h, m] = time.split(":").map(Number);
+        return new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m).getTime();
+      })
+      .filter((at) => at > from);
+    if (times.length) return Math.min(...times);
+  }
+  return null;
+};
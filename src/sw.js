@@ -0,0 +1,199 @@
+// ─── Service Worker ──────────────────────────────────────────────
+// Precaches the build so the app opens with no network. The file list and
+// cache version are injected at build time (see vite.config.js); a new build
+// installs alongside the old one and waits until the page asks it to take over.
+const PRECACHE = self.__PRECACHE_MANIFEST__;
+const CACHE_PREFIX = "breathe-";
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE.version}`;
+const SHELL_URL = new URL("./", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE.urls)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// ─── Reminders ───────────────────────────────────────────────────
+// The open page wakes the worker at each reminder time and hands it the
+// schedule and logged sessions. A periodic sync wakes it with no page, and it
+// reads them from the page's IndexedDB instead. Either way it records the last
+// reminder it showed under its own key, so each one is shown at most once;
+// one it held back (the app was on screen) can still be shown by a later wake.
+const DB_NAME = "whm_breathing";
+const DB_STORE = "appData";
+const DATA_KEY = "data";
+const SHOWN_KEY = "reminderShown";
+const REMINDER_TAG = "reminder";
+// A worker woken later than this after a reminder time lets it go
+const REMINDER_GRACE_MS = 2 * 60 * 60 * 1000;
+// Injected at build time from src/reminders.js
+const REMINDER_DAYS = self.__REMINDER_DAYS__;
+
+const idbRequest = (mode, fn) =>
+  new Promise((resolve, reject) => {
+    const open = indexedDB.open(DB_NAME);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      // Nothing saved yet: the page creates the store on its first load
+      if (!db.objectStoreNames.contains(DB_STORE)) {
+        db.close();
+        resolve(undefined);
+        return;
+      }
+      const tx = db.transaction(DB_STORE, mode);
+      const req = fn(tx.objectStore(DB_STORE));
+      // Closed straight away so the page is never blocked from upgrading
+      tx.oncomplete = () => {
+        db.close();
+        resolve(req.result);
+      };
+      tx.onerror = () => {
+        db.close();
+        reject(tx.error);
+      };
+    };
+  });
+
+// Same "YYYY-MM-DD" local date the page stores on each session
+const localDateStr = (d) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// The latest of today's reminder times that has passed, within the grace period
+const dueReminder = (reminders, now) => {
+  if (!reminders || !reminders.enabled) return null;
+  if (!(REMINDER_DAYS[reminders.days] || REMINDER_DAYS.daily).weekdays.includes(now.getDay())) {
+    return null;
+  }
+  const due = (reminders.times || [])
+    .map((time) => {
+      const [h, m] = time.split(":").map(Number);
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate(), h, m).getTime();
+    })
+    .filter((at) => at <= now.getTime() && now.getTime() - at < REMINDER_GRACE_MS);
+  return due.length ? Math.max(...due) : null;
+};
+
+// Where IndexedDB can't be opened the mark lives only as long as the worker;
+// the notification tag still keeps a repeat from stacking up
+let shownInMemory = 0;
+
+const readShown = () =>
+  idbRequest("readonly", (store) => store.get(SHOWN_KEY)).then(
+    (shown) => Math.max(shown || 0, shownInMemory),
+    () => shownInMemory,
+  );
+
+const markShown = (at) => {
+  shownInMemory = at;
+  return idbRequest("readwrite", (store) => store.put(at, SHOWN_KEY)).catch(() => {});
+};
+
+// `pageData` comes with a wake from the open page; without it, the data is
+// read from IndexedDB
+const checkReminders = async (pageData) => {
+  const data = pageData || (await idbRequest("readonly", (store) => store.get(DATA_KEY)));
+  if (!data) return;
+  const now = new Date();
+  const at = dueReminder(data.reminders, now);
+  if (!at || (await readShown()) >= at) return;
+
+  // Already practised today, or looking at the app right now: nothing to say
+  const today = localDateStr(now);
+  if ((data.sessions || []).some((s) => s.date === today)) return;
+  const windows = await self.clients.matchAll({ type: "window" });
+  if (windows.some((client) => client.visibilityState === "visible")) return;
+  if (Notification.permission !== "granted") return;
+
+  const preset = (data.presets || []).find((p) => p.id === data.lastPresetId);
+  await self.registration.showNotification("Time to breathe", {
+    body: preset ? `${preset.name} is ready when you are.` : "A few rounds to start the day.",
+    icon: new URL("icons/icon-192.png", self.registration.scope).href,
+    tag: REMINDER_TAG,
+    data: { presetId: preset ? preset.id : null },
+  });
+  await markShown(at);
+};
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === REMINDER_TAG) event.waitUntil(checkReminders());
+});
+
+// Opens the app on the preset, or hands it to a window that is already open
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const { presetId } = event.notification.data || {};
+  const url = new URL(SHELL_URL);
+  if (presetId) url.searchParams.set("preset", presetId);
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url.startsWith(SHELL_URL));
+      if (!open) return self.clients.openWindow(url.href);
+      open.postMessage({ type: "OPEN_PRESET", presetId });
+      return open.focus();
+    }),
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (!event.data) return;
+  if (event.data.type === "SKIP_WAITING") self.skipWaiting();
+  if (event.data.type === "CHECK_REMINDERS") event.waitUntil(checkReminders(event.data.data));
+});
+
+// Media elements (the iOS playback path) ask for byte ranges and Safari
+// refuses to play a full 200 response, so cached audio is sliced to a 206.
+const rangeResponse = async (request, response) => {
+  const match = /bytes=(\d*)-(\d*)/.exec(request.headers.get("range") || "");
+  if (!match) return response;
+  const body = await response.arrayBuffer();
+  const start = match[1] ? Number(match[1]) : 0;
+  const end = match[2] ? Number(match[2]) : body.byteLength - 1;
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    statusText: "Partial Content",
+    headers: {
+      "Content-Type": response.headers.get("Content-Type") || "audio/mpeg",
+      "Content-Range": `bytes ${start}-${end}/${body.byteLength}`,
+      "Content-Length": String(end - start + 1),
+    },
+  });
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  // Pages: network first so a fresh deploy is seen online, shell when offline
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request).catch(() =>
+        caches.match(SHELL_URL).then((cached) => cached || Response.error()),
+      ),
+    );
+    return;
+  }
+
+  // Hashed assets and audio never change under the same URL: cache first
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then((cached) => {
+      if (!cached) return fetch(request);
+      return request.headers.has("range") ? rangeResponse(request, cached) : cached;
+    }),
+  );
+});
@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCSV, planImport, sessionsToCSV } from "../src/backup.js";
+
+// Dates are re-dated on this calendar unless a session names its own zone
+process.env.TZ = "America/New_York";
+
+// 2026-03-10 14:00 in New York
+const AFTERNOON = Date.UTC(2026, 2, 10, 18);
+
+const session = (overrides = {}) => ({
+  date: "2026-03-10",
+  tz: "America/New_York",
+  rounds: 2,
+  breathsPerRound: 30,
+  retentions: [75, 90],
+  duration: 540,
+  timestamp: AFTERNOON,
+  ...overrides,
+});
+
+const OLD_HEADER = "timestamp,date,rounds,breaths_per_round,duration_s,round,retention_s";
+
+test("a CSV export reads back with its journal, partial flag and zone", () => {
+  const journal = {
+    partial: true,
+    note: 'Felt "light", then dizzy\nStopped early',
+    mood: { before: 2, after: 4 },
+    energy: { before: null, after: 5 },
+    tags: ["fasted", "cold shower after"],
+  };
+  const [back] = parseCSV(sessionsToCSV([session(journal)]));
+  assert.deepEqual(back, session(journal));
+});
+
+test("a session without holds survives the round trip", () => {
+  const [back] = parseCSV(sessionsToCSV([session({ retentions: [], rounds: 0 })]));
+  assert.deepEqual(back.retentions, []);
+});
+
+test("files from before the journal columns still import", () => {
+  const csv = `${OLD_HEADER}\n${AFTERNOON},2026-03-10,2,30,540,1,75\n${AFTERNOON},2026-03-10,2,30,540,2,90\n`;
+  const [back] = parseCSV(csv);
+  assert.deepEqual(back.retentions, [75, 90]);
+  assert.equal(back.partial, undefined);
+  assert.equal(back.note, undefined);
+});
+
+test("columns are matched by name", () => {
+  const csv = `retention_s,round,duration_s,breaths_per_round,rounds,date,timestamp\n75,1,200,30,1,2026-03-10,${AFTERNOON}`;
+  assert.deepEqual(parseCSV(csv)[0].retentions, [75]);
+});
+
+test("a CSV without the expected columns is refused", () => {
+  assert.throws(() => parseCSV("when,hold\n2026-03-10,75"), /Unrecognised CSV columns/);
+  assert.throws(() => parseCSV(""), /Unrecognised CSV columns/);
+});
+
+test("a bad round number makes its session unusable", () => {
+  ["0", "-1", "1.5", "two"].forEach((round) => {
+    const csv = `${OLD_HEADER}\n${AFTERNOON},2026-03-10,1,30,200,${round},75`;
+    assert.deepEqual(parseCSV(csv), [null], `round ${round}`);
+  });
+});
+
+test("a missing or bad hold makes its session unusable", () => {
+  ["", " ", "-5", "75s", "abc"].forEach((hold) => {
+    const csv = `${OLD_HEADER}\n${AFTERNOON},2026-03-10,2,30,400,1,75\n${AFTERNOON},2026-03-10,2,30,400,2,${hold}`;
+    assert.deepEqual(parseCSV(csv), [null], `hold "${hold}"`);
+  });
+  const csv = `${OLD_HEADER}\n${AFTERNOON},2026-03-10,1,30,200,1,0`;
+  assert.deepEqual(parseCSV(csv)[0].retentions, [0]);
+});
+
+test("a round missing from the middle makes its session unusable", () => {
+  const csv = `${OLD_HEADER}\n1,2026-03-10,3,30,600,1,75\n1,2026-03-10,3,30,600,3,90\n2,2026-03-10,1,30,200,1,60`;
+  const [gapped, whole] = parseCSV(csv);
+  assert.equal(gapped, null);
+  assert.deepEqual(whole.retentions, [60]);
+  assert.deepEqual(planImport([], parseCSV(csv)).invalid, 1);
+});
+
+test("imports skip sessions already logged and count the unusable", () => {
+  const existing = [session()];
+  const plan = planImport(existing, [
+    session(),
+    session({ timestamp: AFTERNOON + 1 }),
+    session({ timestamp: AFTERNOON + 1 }),
+    session({ timestamp: AFTERNOON + 2, retentions: "75,90" }),
+    session({ timestamp: "yesterday" }),
+    null,
+    42,
+  ]);
+  assert.equal(plan.added.length, 1);
+  assert.equal(plan.duplicates, 2);
+  assert.equal(plan.invalid, 4);
+});
+
+test("malformed optional fields are dropped and the session kept", () => {
+  const { added } = planImport(
+    [],
+    [
+      session({
+        protocol: "y",
+        tags: "fasted",
+        note: 5,
+        mood: { before: 9, after: 3 },
+        energy: "high",
+        partial: "yes",
+        tz: 5,
+      }),
+      session({ timestamp: AFTERNOON + 1, protocol: [{ breaths: 30 }, null], tags: ["ok", 3] }),
+    ],
+  );
+  assert.equal(added.length, 2);
+  ["protocol", "tags", "note", "mood", "energy", "partial", "tz"].forEach((key) =>
+    assert.ok(!(key in added[0]), `${key} kept`),
+  );
+  assert.ok(!("protocol" in added[1]));
+  assert.ok(!("tags" in added[1]));
+  assert.deepEqual(added[0].retentions, [75, 90]);
+});
+
+test("well-formed optional fields are kept as they are", () => {
+  const journal = {
+    partial: false,
+    note: "",
+    tags: [],
+    mood: { before: 3, after: null },
+    protocol: [{ breaths: 30, inhaleMs: 1600, exhaleMs: 1600, recoverySeconds: 15 }],
+  };
+  const [added] = planImport([], [session(journal)]).added;
+  assert.deepEqual(added, session(journal));
+});
+
+test("imports are re-dated from their timestamp on their own calendar", () => {
+  // 23:30 on the 9th in New York is already the 10th in UTC and in Tokyo
+  const lateEvening = Date.UTC(2026, 2, 10, 3, 30);
+  const { added } = planImport(
+    [],
+    [
+      session({ timestamp: lateEvening, date: "2026-03-10", tz: undefined }),
+      session({ timestamp: lateEvening + 1, date: "2026-03-09", tz: "Asia/Tokyo" }),
+      session({ timestamp: lateEvening + 2, date: "2026-03-10", tz: "Not/AZone" }),
+    ],
+  );
+  assert.deepEqual(
+    added.map((s) => s.date),
+    ["2026-03-09", "2026-03-10", "2026-03-09"],
+  );
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  createBreathDetector,
+  detectBreaths,
+  frameEnergy,
+  measureNoiseFloor,
+} from "../src/breathDetection.js";
+
+// breaths-16k.wav: 6 s of mono 16-bit PCM. A quiet room with 50 Hz mains hum,
+// and three breaths at 0.8–1.6 s, 2.6–3.4 s and 4.4–5.2 s.
+const FIXTURE_BREATHS = [0.8, 2.6, 4.4];
+const FRAME = 1024;
+
+const readWav = (path) => {
+  const buf = readFileSync(new URL(path, import.meta.url));
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  let offset = 12;
+  let sampleRate = 0;
+  while (offset < buf.length) {
+    const id = buf.toString("ascii", offset, offset + 4);
+    const size = view.getUint32(offset + 4, true);
+    if (id === "fmt ") sampleRate = view.getUint32(offset + 12, true);
+    if (id === "data") {
+      const samples = new Float32Array(size / 2);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = view.getInt16(offset + 8 + i * 2, true) / 32768;
+      }
+      return { samples, sampleRate };
+    }
+    offset += 8 + size;
+  }
+  throw new Error(`${path} has no data chunk`);
+};
+
+const recording = readWav("./fixtures/breaths-16k.wav");
+
+// Calibrates on the quiet lead-in, the way the app's Calibrate button does
+const calibrate = ({ samples, sampleRate }, seconds) => {
+  const energies = [];
+  for (let i = 0; i + FRAME <= seconds * sampleRate; i += FRAME) {
+    energies.push(frameEnergy(samples.subarray(i, i + FRAME)));
+  }
+  return measureNoiseFloor(energies);
+};
+
+test("finds each breath in a recording", () => {
+  const noiseFloor = calibrate(recording, 0.7);
+  const onsets = detectBreaths(recording.samples, recording.sampleRate, { noiseFloor });
+  assert.equal(onsets.length, FIXTURE_BREATHS.length);
+  onsets.forEach((at, i) => assert.ok(Math.abs(at - FIXTURE_BREATHS[i]) < 0.25, `onset ${at}`));
+});
+
+test("hears nothing in the quiet lead-in", () => {
+  const noiseFloor = calibrate(recording, 0.7);
+  const lead = recording.samples.subarray(0, Math.floor(0.7 * recording.sampleRate));
+  assert.deepEqual(detectBreaths(lead, recording.sampleRate, { noiseFloor }), []);
+});
+
+test("the refractory period merges breaths that come too close", () => {
+  const noiseFloor = calibrate(recording, 0.7);
+  const onsets = detectBreaths(recording.samples, recording.sampleRate, {
+    noiseFloor,
+    refractoryS: 2,
+  });
+  assert.equal(onsets.length, 2);
+});
+
+test("matches a live detector fed the same frames", () => {
+  const noiseFloor = calibrate(recording, 0.7);
+  const { samples, sampleRate } = recording;
+  const live = createBreathDetector({ noiseFloor });
+  const heard = [];
+  for (let i = 0; i + FRAME <= samples.length; i += FRAME) {
+    const hit = live.push(samples.subarray(i, i + FRAME), (i + FRAME) / sampleRate);
+    if (hit) heard.push(hit.at);
+  }
+  assert.deepEqual(heard, detectBreaths(samples, sampleRate, { noiseFloor }));
+});
+
+test("a loud hum alone is not a breath", () => {
+  const sampleRate = 16000;
+  const hum = Float32Array.from(
+    { length: sampleRate * 3 },
+    (_, i) => Math.sin((2 * Math.PI * 50 * i) / sampleRate) * 0.3,
+  );
+  assert.deepEqual(detectBreaths(hum, sampleRate), []);
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calcStreaks, localDateStr, sessionsThisWeek, zonedDateStr } from "../src/calendar.js";
+
+process.env.TZ = "America/New_York";
+
+const days = (...dates) => dates.map((date) => ({ date }));
+
+// Runs `fn` with the device clock set to another zone
+const inZone = (tz, fn) => {
+  const saved = process.env.TZ;
+  process.env.TZ = tz;
+  try {
+    return fn();
+  } finally {
+    process.env.TZ = saved;
+  }
+};
+
+test("late sessions stay on their evening across the DST changes", () => {
+  // 23:30 on the days the clocks go forward and back in New York
+  assert.equal(localDateStr(Date.UTC(2026, 2, 9, 3, 30)), "2026-03-08");
+  assert.equal(localDateStr(Date.UTC(2026, 10, 2, 4, 30)), "2026-11-01");
+  // and just after midnight on the following days
+  assert.equal(localDateStr(Date.UTC(2026, 2, 9, 4, 5)), "2026-03-09");
+  assert.equal(localDateStr(Date.UTC(2026, 10, 2, 5, 5)), "2026-11-02");
+});
+
+test("a streak runs through the short and the long day", () => {
+  const spring = days("2026-03-07", "2026-03-08", "2026-03-09");
+  assert.deepEqual(calcStreaks(spring, 0, "2026-03-09"), { current: 3, longest: 3 });
+  const autumn = days("2026-10-31", "2026-11-01", "2026-11-02");
+  assert.deepEqual(calcStreaks(autumn, 0, "2026-11-02"), { current: 3, longest: 3 });
+});
+
+test("zonedDateStr reads the date on the session's own calendar", () => {
+  const instant = Date.UTC(2026, 2, 10, 3, 30);
+  assert.equal(zonedDateStr(instant, "America/New_York"), "2026-03-09");
+  assert.equal(zonedDateStr(instant, "Asia/Tokyo"), "2026-03-10");
+  assert.equal(zonedDateStr(instant, "UTC"), "2026-03-10");
+  // A missing or unknown zone falls back to this device's calendar
+  assert.equal(zonedDateStr(instant, null), "2026-03-09");
+  assert.equal(zonedDateStr(instant, "Not/AZone"), "2026-03-09");
+});
+
+test("moving to another zone keeps the dates already logged", () => {
+  // Practised on the morning of the 10th in Tokyo, which is still the 9th in
+  // New York, then flew there and practised on the 10th and 11th
+  const tokyoMorning = Date.UTC(2026, 2, 9, 23);
+  const logged = inZone("Asia/Tokyo", () => localDateStr(tokyoMorning));
+  assert.equal(logged, "2026-03-10");
+  assert.equal(localDateStr(tokyoMorning), "2026-03-09");
+  const sessions = days("2026-03-09", logged, "2026-03-10", "2026-03-11");
+  assert.deepEqual(calcStreaks(sessions, 0, "2026-03-11"), { current: 3, longest: 3 });
+  assert.equal(sessionsThisWeek(sessions, "2026-03-11"), 4);
+});
+
+test("missed days break a run unless a rest day is left that week", () => {
+  const sessions = days("2026-03-02", "2026-03-03", "2026-03-05");
+  assert.deepEqual(calcStreaks(sessions, 0, "2026-03-05"), { current: 1, longest: 2 });
+  assert.deepEqual(calcStreaks(sessions, 1, "2026-03-05"), { current: 3, longest: 3 });
+});
+
+test("each week gets its own rest days, starting on Monday", () => {
+  // Sunday the 8th rests in the first week, Tuesday the 10th in the next
+  const sessions = days(
+    "2026-03-02",
+    "2026-03-03",
+    "2026-03-04",
+    "2026-03-05",
+    "2026-03-06",
+    "2026-03-07",
+    "2026-03-09",
+    "2026-03-11",
+  );
+  assert.deepEqual(calcStreaks(sessions, 1, "2026-03-11"), { current: 8, longest: 8 });
+  // A second miss in the same week breaks the run
+  const twice = days("2026-03-09", "2026-03-11", "2026-03-13");
+  assert.deepEqual(calcStreaks(twice, 1, "2026-03-13"), { current: 1, longest: 2 });
+  assert.deepEqual(calcStreaks(twice, 2, "2026-03-13"), { current: 3, longest: 3 });
+});
+
+test("today doesn't break a run, but yesterday does", () => {
+  const sessions = days("2026-03-09", "2026-03-10");
+  assert.equal(calcStreaks(sessions, 0, "2026-03-11").current, 2);
+  assert.deepEqual(calcStreaks(sessions, 0, "2026-03-12"), { current: 0, longest: 2 });
+  assert.deepEqual(calcStreaks([], 1, "2026-03-12"), { current: 0, longest: 0 });
+});
+
+test("the weekly count runs from Monday to Sunday", () => {
+  const sessions = days("2026-03-08", "2026-03-09", "2026-03-09", "2026-03-15", "2026-03-16");
+  assert.equal(sessionsThisWeek(sessions, "2026-03-09"), 3);
+  assert.equal(sessionsThisWeek(sessions, "2026-03-15"), 3);
+  assert.equal(sessionsThisWeek(sessions, "2026-03-08"), 1);
+  assert.equal(sessionsThisWeek(sessions, "2026-03-16"), 1);
+});
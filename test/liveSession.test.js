@@ -0,0 +1,69 @@
+import { beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { clearLiveSession, readLiveSession, saveLiveSession } from "../src/liveSession.js";
+
+// Just enough of localStorage for the session mirror
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key),
+};
+
+const HOUR = 60 * 60 * 1000;
+const SAVED_AT = Date.UTC(2026, 2, 10, 7, 30);
+
+const snapshot = (overrides = {}) => ({
+  plan: [{ breaths: 30 }, { breaths: 30 }],
+  settings: { rounds: 2 },
+  phase: "retention",
+  currentRound: 2,
+  retentions: [80],
+  sessionStart: SAVED_AT - 5 * 60 * 1000,
+  savedAt: SAVED_AT,
+  ...overrides,
+});
+
+beforeEach(() => store.clear());
+
+test("a session interrupted a few hours ago is offered back", () => {
+  saveLiveSession(snapshot());
+  assert.deepEqual(readLiveSession(SAVED_AT + 3 * HOUR), snapshot());
+});
+
+test("one just short of twelve hours old is still offered", () => {
+  saveLiveSession(snapshot());
+  assert.ok(readLiveSession(SAVED_AT + 12 * HOUR - 1));
+});
+
+test("one twelve hours old or more is dropped and cleared", () => {
+  saveLiveSession(snapshot());
+  assert.equal(readLiveSession(SAVED_AT + 12 * HOUR), null);
+  assert.equal(store.size, 0);
+  // Cleared, so it is gone even if the clock is later turned back
+  assert.equal(readLiveSession(SAVED_AT), null);
+});
+
+test("a snapshot without a save time never counts as fresh", () => {
+  saveLiveSession(snapshot({ savedAt: undefined }));
+  assert.equal(readLiveSession(SAVED_AT), null);
+});
+
+test("damaged snapshots are dropped", () => {
+  [
+    snapshot({ plan: [] }),
+    snapshot({ retentions: [80, null] }),
+    snapshot({ sessionStart: "earlier" }),
+  ].forEach((bad) => {
+    saveLiveSession(bad);
+    assert.equal(readLiveSession(SAVED_AT), null);
+  });
+  store.set("whm_breathing_data_live", "{not json");
+  assert.equal(readLiveSession(SAVED_AT), null);
+});
+
+test("clearing forgets the session", () => {
+  saveLiveSession(snapshot());
+  clearLiveSession();
+  assert.equal(readLiveSession(SAVED_AT), null);
+});
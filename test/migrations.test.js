@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SCHEMA_VERSION, migrate } from "../src/migrations.js";
+
+process.env.TZ = "America/New_York";
+
+// A version 3 blob: dates were still UTC and there were no reminders
+const v3 = () => ({
+  version: 3,
+  sessions: [
+    // 22:00 on the 9th in New York, logged as the 10th in UTC
+    { date: "2026-03-10", timestamp: Date.UTC(2026, 2, 10, 3), rounds: 1, retentions: [60] },
+    // 09:00 on the 10th, the same date either way
+    { date: "2026-03-10", timestamp: Date.UTC(2026, 2, 10, 14), rounds: 1, retentions: [75] },
+  ],
+  settings: { rounds: 3 },
+  presets: [
+    { id: "p1", name: "Morning", settings: { rounds: 4 }, mix: { breath: 0.5, ambient: 0 } },
+  ],
+  mixer: { muted: false, breath: 0.8, bells: 1, ticks: 1, voice: 1, ambient: 0.2 },
+});
+
+test("a version 3 blob is brought up to date", () => {
+  const out = migrate(v3());
+  assert.equal(out.version, SCHEMA_VERSION);
+  assert.deepEqual(
+    out.sessions.map((s) => s.date),
+    ["2026-03-09", "2026-03-10"],
+  );
+  assert.deepEqual(out.reminders, { enabled: false, days: "daily", times: ["07:30"] });
+  assert.equal(out.lastPresetId, null);
+});
+
+test("migration leaves the rest of a version 3 blob alone", () => {
+  const before = v3();
+  const out = migrate(before);
+  assert.deepEqual(out.settings, before.settings);
+  assert.deepEqual(out.presets, before.presets);
+  assert.deepEqual(out.mixer, before.mixer);
+  assert.deepEqual(out.sessions[0].retentions, [60]);
+  assert.deepEqual(before, v3());
+});
+
+test("sessions without a usable timestamp keep their date", () => {
+  const blob = { ...v3(), sessions: [{ date: "2026-03-10", timestamp: "soon" }] };
+  assert.equal(migrate(blob).sessions[0].date, "2026-03-10");
+});
+
+test("the original unversioned blob moves its levels into the mixer", () => {
+  const out = migrate({
+    sessions: [],
+    settings: { rounds: 3, breathVolume: 0.6 },
+    presets: [{ id: "p1", name: "Loud", settings: { rounds: 3, ambientVolume: 1 } }],
+  });
+  assert.equal(out.version, SCHEMA_VERSION);
+  assert.deepEqual(out.settings, { rounds: 3 });
+  assert.deepEqual(out.mixer, {
+    muted: false,
+    breath: 0.6,
+    bells: 1,
+    ticks: 1,
+    voice: 1,
+    ambient: 0.4,
+  });
+  assert.deepEqual(out.presets[0].mix, { breath: 1, ambient: 1 });
+  assert.deepEqual(out.presets[0].settings, { rounds: 3 });
+});
+
+test("a current blob is returned as it is", () => {
+  const current = migrate(v3());
+  assert.deepEqual(migrate(current), current);
+});
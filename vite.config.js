@@ -1,7 +1,49 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join, relative, sep } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { REMINDER_DAYS } from './src/reminders.js'
+
+const root = fileURLToPath(new URL('.', import.meta.url))
+const publicDir = join(root, 'public')
+
+const listFiles = (dir) =>
+  readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const path = join(dir, entry.name)
+    return entry.isDirectory() ? listFiles(path) : [path]
+  })
+
+// Emits sw.js with the list of files to precache: every bundled chunk and
+// asset plus everything in public/. The cache version is a hash of that list
+// and the public files, so any change to the build installs a new worker.
+// The reminder weekday table is injected too, so the worker and page share it.
+const precacheServiceWorker = () => ({
+  name: 'precache-service-worker',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const publicFiles = listFiles(publicDir)
+    const publicUrls = publicFiles.map((file) => relative(publicDir, file).split(sep).join('/'))
+    // .woff duplicates of the .woff2 fonts are only fetched by browsers that can't use woff2
+    const bundleUrls = Object.keys(bundle).filter(
+      (name) => name !== 'index.html' && !name.endsWith('.map') && !name.endsWith('.woff'),
+    )
+    const urls = ['./', ...bundleUrls, ...publicUrls]
+
+    const hash = createHash('sha256')
+    urls.forEach((url) => hash.update(url))
+    publicFiles.forEach((file) => hash.update(readFileSync(file)))
+    const version = hash.digest('hex').slice(0, 12)
+
+    const source = readFileSync(join(root, 'src/sw.js'), 'utf8')
+      .replace('self.__PRECACHE_MANIFEST__', JSON.stringify({ version, urls }))
+      .replace('self.__REMINDER_DAYS__', JSON.stringify(REMINDER_DAYS))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheServiceWorker()],
   base: '/Tim-Nof/',
 })